@@ -3,23 +3,31 @@ function isWholeProgramTarget(compileTarget)
     return compileTarget == "METAL" || compileTarget == "SPIRV";
 }
 
-const imageMainSource = `
+// The image entry point writes the color returned by the user's imageMain into the output texture, whose format
+// is given by '//! OUTPUT_FORMAT(...)'. Its workgroup size is given by '//! WORKGROUP_SIZE(...)', and every
+// invocation calls imageMain, even outside of the texture, so that imageMain can synchronize its workgroup.
+function getImageMainSource(outputFormat, workgroupSize)
+{
+    const format = outputTextureFormats[outputFormat];
+    return `
 import user;
 import playground;
 
 RWStructuredBuffer<int>             outputBuffer;
 
-[format("rgba8")]
+[format("${format}")]
 WTexture2D                          outputTexture;
 
 [shader("compute")]
-[numthreads(16, 16, 1)]
-void imageMain(uint3 dispatchThreadID : SV_DispatchThreadID)
+[numthreads(${workgroupSize[0]}, ${workgroupSize[1]}, 1)]
+void imageMain(uint3 dispatchThreadID : SV_DispatchThreadID, uint3 groupThreadID : SV_GroupThreadID, uint3 groupID : SV_GroupID)
 {
     uint width = 0;
     uint height = 0;
     outputTexture.GetDimensions(width, height);
 
+    beginImagePixel(dispatchThreadID.xy, width);
+    beginImageWorkgroup(groupThreadID.xy, groupID.xy);
     float4 color = imageMain(dispatchThreadID.xy, int2(width, height));
 
     if (dispatchThreadID.x >= width || dispatchThreadID.y >= height)
@@ -28,9 +36,28 @@ void imageMain(uint3 dispatchThreadID : SV_DispatchThreadID)
     outputTexture.Store(dispatchThreadID.xy, color);
 }
 `;
+}
+
+
+// The user's printMain can take the thread ID as a uint3, like the print entry point, so the entry point has another
+// name, to not be an overload of it.
+const printEntryPointName = "printMainEntry";
+
+// Name of the entry point of the pre-built imageMain or printMain module.
+function getMainEntryPointName(moduleName)
+{
+    return moduleName == "printMain" ? printEntryPointName : moduleName;
+}
 
+// The print entry point runs the user's printMain on the grid of threads given by '//! DISPATCH(...)'. Messages are
+// tagged with the index of the thread that printed them, so the output can be grouped by thread. If the user's
+// printMain takes a parameter, it receives the thread ID.
+function getPrintMainSource(shaderSource, takesThreadID)
+{
+    const layout = getPrintDispatchLayout(parseDispatchCommand(shaderSource));
+    const [gridX, gridY, gridZ] = layout.gridSize;
 
-const printMainSource = `
+    return `
 import user;
 import playground;
 
@@ -40,12 +67,18 @@ RWStructuredBuffer<int>               outputBuffer;
 WTexture2D                          outputTexture;
 
 [shader("compute")]
-[numthreads(1, 1, 1)]
-void printMain(uint3 dispatchThreadID : SV_DispatchThreadID)
+[numthreads(${layout.workgroupSize.join(", ")})]
+void ${printEntryPointName}(uint3 dispatchThreadID : SV_DispatchThreadID)
 {
-    printMain();
+    if (any(dispatchThreadID >= uint3(${gridX}, ${gridY}, ${gridZ})))
+        return;
+
+    uint threadIndex = dispatchThreadID.x + ${gridX} * (dispatchThreadID.y + ${gridY} * dispatchThreadID.z);
+    beginPrintThread(threadIndex);
+    printMain(${takesThreadID ? "dispatchThreadID" : ""});
 }
 `;
+}
 
 class SlangCompiler
 {
@@ -70,13 +103,16 @@ class SlangCompiler
 
     mainModules = new Map();
 
+    // Format of the output texture of the image entry point, from '//! OUTPUT_FORMAT(...)'.
+    outputTextureFormat = "rgba8unorm";
+
     constructor(module)
     {
         this.slangWasmModule = module;
         this.diagnosticsMsg = "";
         this.shaderType = SlangCompiler.NON_RUNNABLE_SHADER;
-        this.mainModules['imageMain'] = {source: imageMainSource};
-        this.mainModules['printMain'] = {source: printMainSource};
+        this.mainModules['imageMain'] = {source: getImageMainSource(this.outputTextureFormat, [16, 16])};
+        this.mainModules['printMain'] = {source: getPrintMainSource("", false)};
         FS.createDataFile("/", "user.slang", "", true, true);
         FS.createDataFile("/", "playground.slang", "", true, true);
     }
@@ -254,8 +290,7 @@ class SlangCompiler
             return null;
         }
 
-        // we use the same entry point name as module name
-        var entryPoint = this.findEntryPoint(module, moduleName, SlangCompiler.SLANG_STAGE_COMPUTE);
+        var entryPoint = this.findEntryPoint(module, getMainEntryPointName(moduleName), SlangCompiler.SLANG_STAGE_COMPUTE);
         if (!entryPoint)
             return null;
 
@@ -288,9 +323,9 @@ class SlangCompiler
         {
             var entrypoint = userModule.getDefinedEntryPoint(i);
             var name = userModule.getDefinedEntryPoint(i).getName();
-            if (name == "imageMain" || name == "printMain")
+            if (name == "imageMain" || name == "printMain" || name == printEntryPointName)
             {
-                this.diagnosticsMsg+=("error: Entry point name 'imageMain' or 'printMain' is reserved");
+                this.diagnosticsMsg+=("error: Entry point names 'imageMain', 'printMain' and '" + printEntryPointName + "' are reserved");
                 return false;
             }
         }
@@ -301,6 +336,38 @@ class SlangCompiler
         {
             if (this.shouldLoadMainModule(entryPointName))
             {
+                if (entryPointName == "printMain")
+                {
+                    try
+                    {
+                        // The print entry point declares an rgba8 output texture, whatever the last image shader used.
+                        this.outputTextureFormat = "rgba8unorm";
+                        const printMainReflection = userModule.getLayout(0).findFunctionByName("printMain");
+                        const takesThreadID = printMainReflection != null && printMainReflection.getParameterCount() > 0;
+                        this.mainModules['printMain'].source = getPrintMainSource(shaderSource, takesThreadID);
+                    }
+                    catch (e)
+                    {
+                        this.diagnosticsMsg += ("error: " + e.message);
+                        return false;
+                    }
+                }
+                else
+                {
+                    try
+                    {
+                        this.outputTextureFormat = parseOutputFormatCommand(shaderSource);
+                        const workgroupSize = parseWorkgroupSizeCommand(shaderSource);
+                        this.mainModules['imageMain'].source = getImageMainSource(this.outputTextureFormat, workgroupSize);
+                    }
+                    catch (e)
+                    {
+                        this.diagnosticsMsg += ("error: " + e.message);
+                        return false;
+                    }
+                }
+
+
                 // we use the same entry point name as module name
                 var mainProgram = this.getPrecompiledProgram(slangSession, entryPointName);
                 if (!mainProgram)
@@ -349,7 +416,7 @@ class SlangCompiler
         return true;
     }
 
-    getBindingDescriptor(index, programReflection, parameter)
+    getBindingDescriptor(index, programReflection, parameter, parameterReflection)
     {
         const globalLayout = programReflection.getGlobalParamsTypeLayout();
 
@@ -358,16 +425,27 @@ class SlangCompiler
         // Special case.. TODO: Remove this as soon as the reflection API properly reports write-only textures.
         if (parameter.getName() == "outputTexture")
         {
-            return { storageTexture: {access: "write-only", format: "rgba8unorm"} };
+            return { storageTexture: {access: "write-only", format: this.outputTextureFormat} };
         }
 
         if (bindingType == this.slangWasmModule.BindingType.Texture)
         {
-            return { texture: {} };
+            return { texture: {
+                sampleType: getTextureSampleType(parameterReflection),
+                viewDimension: getTextureViewDimension(parameterReflection),
+            } };
         }
         else if (bindingType == this.slangWasmModule.BindingType.MutableTexture)
         {
-            return { storageTexture: {access: "read-write", format: "r32float"} };
+            return { storageTexture: {
+                access: getStorageTextureAccess(parameterReflection),
+                format: getStorageTextureFormat(parameterReflection),
+                viewDimension: getTextureViewDimension(parameterReflection),
+            } };
+        }
+        else if (bindingType == this.slangWasmModule.BindingType.Sampler)
+        {
+            return { sampler: {type: 'filtering'} };
         }
         else if (bindingType == this.slangWasmModule.BindingType.ConstantBuffer)
         {
@@ -383,32 +461,68 @@ class SlangCompiler
         }
     }
 
-    getResourceBindings(linkedProgram)
+    getResourceBindings(linkedProgram, reflectionJson)
     {
         const reflection = linkedProgram.getLayout(0); // assume target-index = 0
 
         const count = reflection.getParameterCount();
 
         var resourceDescriptors = new Map();
+        var hasGlobalUniforms = false;
         for (let i = 0; i < count; i++)
         {
             const parameter = reflection.getParameterByIndex(i);
             const name = parameter.getName();
+            const parameterReflection = findReflectionParameter(reflectionJson, name);
+
+            // Global uniforms of all modules are packed into the default uniform buffer, which is bound as
+            // "uniformInput". Their binding index is an offset in that buffer.
+            if (parameterReflection?.binding?.kind == "uniform")
+            {
+                hasGlobalUniforms = true;
+                continue;
+            }
+
             var binding = {
                 binding: parameter.getBindingIndex(),
                 visibility: GPUShaderStage.COMPUTE,
             };
-            
-            const resourceInfo = this.getBindingDescriptor(parameter.getBindingIndex(), reflection, parameter);
+
+            const resourceInfo = this.getBindingDescriptor(parameter.getBindingIndex(), reflection, parameter, parameterReflection);
 
             // extend binding with resourceInfo
             Object.assign(binding, resourceInfo);
 
             resourceDescriptors.set(name, binding);
         }
+
+        if (hasGlobalUniforms)
+        {
+            resourceDescriptors.set("uniformInput", {
+                binding: this.getGlobalUniformBufferBinding(reflection, resourceDescriptors),
+                visibility: GPUShaderStage.COMPUTE,
+                buffer: {type: 'uniform'},
+            });
+        }
         
         return resourceDescriptors;
     }
+
+    // The default uniform buffer isn't a parameter of the program, its binding is the constant buffer range of the
+    // global parameters that no parameter is bound to.
+    getGlobalUniformBufferBinding(programReflection, resourceDescriptors)
+    {
+        const globalLayout = programReflection.getGlobalParamsTypeLayout();
+        const usedBindings = new Set(Array.from(resourceDescriptors.values(), descriptor => descriptor.binding));
+        for (let index = 0; index <= resourceDescriptors.size; index++)
+        {
+            if (usedBindings.has(index))
+                continue;
+            if (globalLayout.getDescriptorSetDescriptorRangeType(0, index) == this.slangWasmModule.BindingType.ConstantBuffer)
+                return index;
+        }
+        throw new Error("Cannot find the binding of the uniform buffer of the global parameters.");
+    }
     
     loadModule(slangSession, moduleName, source, componentTypeList)
     {
@@ -455,7 +569,7 @@ class SlangCompiler
                     return null;
                 userModuleIndex++;
             }
-            if (!this.loadModule(slangSession, "user", shaderSource, components))
+            if (!this.loadModule(slangSession, "user", shouldLinkPlaygroundModule ? userSourcePrelude + shaderSource : shaderSource, components))
                 return null;
             if (this.addActiveEntryPoints(slangSession, shaderSource, entryPointName, isWholeProgram, components[userModuleIndex], components) == false)
                 return null;
@@ -480,10 +594,9 @@ class SlangCompiler
                         0 /* entryPointIndex */, 0 /* targetIndex */);
             }
 
-            var bindings = this.getResourceBindings(linkedProgram);
-
             // Also read the shader work-group size.
-            const entryPointReflection = linkedProgram.getLayout(0).findEntryPointByName(entryPointName);
+            const entryPointReflection = linkedProgram.getLayout(0).findEntryPointByName(
+                this.shouldLoadMainModule(entryPointName) ? getMainEntryPointName(entryPointName) : entryPointName);
             var threadGroupSize = entryPointReflection ? entryPointReflection.getComputeThreadGroupSize() :
                 { x: 1, y: 1, z: 1 };
 
@@ -496,6 +609,19 @@ class SlangCompiler
             }
 
             var reflectionJson = linkedProgram.getLayout(0).toJsonObject();
+            try
+            {
+                var bindings = this.getResourceBindings(linkedProgram, reflectionJson);
+            }
+            catch (e)
+            {
+                // The bindings are only needed to run the WGSL code, other targets can still be shown.
+                if (compileTargetStr == "WGSL")
+                {
+                    this.diagnosticsMsg += ("error: " + e.message);
+                    outCode = null;
+                }
+            }
         } catch (e) {
             console.log(e);
             return null;
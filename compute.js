@@ -79,11 +79,15 @@ class ComputePipeline
                 }
                 else if (bindInfo.storageTexture)
                 {
-                    entries.push({binding: bindInfo.binding, resource: resource.createView()});
+                    entries.push({binding: bindInfo.binding, resource: resource.createView({dimension: bindInfo.storageTexture.viewDimension})});
                 }
                 else if (bindInfo.texture)
                 {
-                    entries.push({binding: bindInfo.binding, resource: resource.createView()});
+                    entries.push({binding: bindInfo.binding, resource: resource.createView({dimension: bindInfo.texture.viewDimension})});
+                }
+                else if (bindInfo.sampler)
+                {
+                    entries.push({binding: bindInfo.binding, resource: resource});
                 }
             }
         }
@@ -3,6 +3,7 @@ var demoList = [
   { name: "Simple Image", url: "simple-image.slang" },
   { name: "Image From URL", url: "image-from-url.slang" },
   { name: "Multi-kernel Demo", url: "multiple-kernels.slang" },
+  { name: "Indirect Dispatch", url: "indirect-dispatch.slang" },
   { name: "-", url: "" },
   { name: "ShaderToy: Circle", url: "circle.slang" },
   { name: "ShaderToy: Ocean", url: "ocean.slang" },
@@ -0,0 +1,374 @@
+// Export of the render output:
+// - a single image at a resolution independent of the canvas size. imageMain is dispatched into an offscreen
+//   output texture of the requested size, which is read back and saved as PNG, or as EXR to keep the values of
+//   float output formats.
+// - a WebM video of the canvas, recorded in real time.
+// - a deterministic sequence of frames rendered at a fixed timestep, saved as a zip of PNG files.
+
+var exportPending = false;
+var videoRecorder = null;
+var frameSequence = null;  // {frameCount, fps, frameIndex, files, cancelled} while rendering a sequence.
+
+// Frame sequences are rendered with these instead of the current date and random RAND values, so that they can
+// be reproduced.
+const frameSequenceStartDate = new Date(2000, 0, 1);
+const frameSequenceRandomSeed = 1;
+
+function isFloatTextureFormat(format) {
+    return getTexelFormatInfo(format)?.type == "float";
+}
+
+// Read back an output texture, and return its texels as RGBA floats, with the rows ordered from the top of the
+// image like on the canvas.
+async function readBackImage(texture) {
+    const { width, height, format } = texture;
+    const rows = await readBackTexture(texture);
+
+    // The output texture is shown with its first row at the bottom of the canvas.
+    const rowSize = width * 4;
+    const texels = new Float32Array(width * height * 4);
+    for (let y = 0; y < height; y++)
+        texels.set(rows.subarray(y * rowSize, (y + 1) * rowSize), (height - 1 - y) * rowSize);
+    return { width: width, height: height, format: format, texels: texels };
+}
+
+// Render one frame with imageMain into a new output texture, and read it back. The resources written by
+// '//! CALL' passes are used as they are, without running the passes again.
+async function renderOffscreenImage(width, height) {
+    const texture = createOutputTexture(device, width, height, allocatedResources.get("outputTexture").format);
+
+    const resources = new Map(allocatedResources);
+    resources.set("outputTexture", texture);
+
+    // createBindGroup() replaces the bind group of the pipeline, which is still needed for the canvas.
+    const canvasBindGroup = computePipeline.bindGroup;
+    computePipeline.createBindGroup(resources);
+    const bindGroup = computePipeline.bindGroup;
+    computePipeline.bindGroup = canvasBindGroup;
+
+    writeUniformInput([width, height], [-1, -1]);
+    const encoder = device.createCommandEncoder({ label: 'export encoder' });
+    const pass = encoder.beginComputePass({ label: 'export pass' });
+    encodeImageMainDispatch(pass, bindGroup, width, height);
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+
+    try {
+        return await readBackImage(texture);
+    }
+    finally {
+        texture.destroy();
+    }
+}
+
+async function encodePNG(image) {
+    const pixels = new Uint8ClampedArray(image.texels.length);
+    for (let i = 0; i < pixels.length; i++)
+        pixels[i] = Math.round(image.texels[i] * 255);
+
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    canvas.getContext("2d").putImageData(new ImageData(pixels, image.width, image.height), 0, 0);
+    return await canvas.convertToBlob({ type: "image/png" });
+}
+
+// Encode a single part, uncompressed scanline OpenEXR file with 32-bit float channels.
+function encodeEXR(image) {
+    const { width, height, texels } = image;
+    const channels = ["A", "B", "G", "R"]; // Channels are stored in alphabetical order.
+    const bytes = [];
+    const writeInt32 = (value) => bytes.push(value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF);
+    const writeFloat32 = (value) => bytes.push(...new Uint8Array(new Float32Array([value]).buffer));
+    const writeString = (value) => bytes.push(...new TextEncoder().encode(value), 0);
+    const writeAttribute = (name, type, size, writeValue) => {
+        writeString(name);
+        writeString(type);
+        writeInt32(size);
+        writeValue();
+    };
+
+    writeInt32(20000630); // Magic number.
+    writeInt32(2);        // Version 2, single part scanline file.
+    writeAttribute("channels", "chlist", channels.length * 18 + 1, () => {
+        for (const channel of channels) {
+            writeString(channel);
+            writeInt32(2);            // FLOAT pixels.
+            bytes.push(0, 0, 0, 0);   // Not perceptually linear, and reserved bytes.
+            writeInt32(1);            // x sampling.
+            writeInt32(1);            // y sampling.
+        }
+        bytes.push(0);
+    });
+    writeAttribute("compression", "compression", 1, () => bytes.push(0));
+    writeAttribute("dataWindow", "box2i", 16, () => [0, 0, width - 1, height - 1].forEach(writeInt32));
+    writeAttribute("displayWindow", "box2i", 16, () => [0, 0, width - 1, height - 1].forEach(writeInt32));
+    writeAttribute("lineOrder", "lineOrder", 1, () => bytes.push(0));
+    writeAttribute("pixelAspectRatio", "float", 4, () => writeFloat32(1));
+    writeAttribute("screenWindowCenter", "v2f", 8, () => { writeFloat32(0); writeFloat32(0); });
+    writeAttribute("screenWindowWidth", "float", 4, () => writeFloat32(1));
+    bytes.push(0);
+
+    // The header is followed by the offset of each scanline, and the scanlines: their y, their size in bytes,
+    // and the values of each channel for the whole line.
+    const headerSize = bytes.length;
+    const lineSize = width * channels.length * 4;
+    const offsetTableSize = height * 8;
+    const data = new ArrayBuffer(headerSize + offsetTableSize + height * (8 + lineSize));
+    const dataView = new DataView(data);
+    new Uint8Array(data).set(bytes);
+
+    for (let y = 0; y < height; y++) {
+        const lineOffset = headerSize + offsetTableSize + y * (8 + lineSize);
+        dataView.setBigUint64(headerSize + y * 8, BigInt(lineOffset), true);
+        dataView.setInt32(lineOffset, y, true);
+        dataView.setInt32(lineOffset + 4, lineSize, true);
+        for (let c = 0; c < channels.length; c++) {
+            const component = "RGBA".indexOf(channels[c]);
+            for (let x = 0; x < width; x++)
+                dataView.setFloat32(lineOffset + 8 + (c * width + x) * 4, texels[(y * width + x) * 4 + component], true);
+        }
+    }
+    return new Blob([data], { type: "image/x-exr" });
+}
+
+const crc32Table = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++)
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++)
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Create a zip archive of [{name, data}] files, where data is a Uint8Array. The files are stored without
+// compression, since they are PNG files already.
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    var offset = 0;
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const localHeader = new DataView(new ArrayBuffer(30 + name.length));
+        localHeader.setUint32(0, 0x04034B50, true);    // Local file header signature.
+        localHeader.setUint16(4, 20, true);            // Version needed to extract.
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, file.data.length, true);
+        localHeader.setUint32(22, file.data.length, true);
+        localHeader.setUint16(26, name.length, true);
+        new Uint8Array(localHeader.buffer).set(name, 30);
+
+        const centralHeader = new DataView(new ArrayBuffer(46 + name.length));
+        centralHeader.setUint32(0, 0x02014B50, true);  // Central directory file header signature.
+        centralHeader.setUint16(4, 20, true);          // Version made by.
+        centralHeader.setUint16(6, 20, true);          // Version needed to extract.
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, file.data.length, true);
+        centralHeader.setUint32(24, file.data.length, true);
+        centralHeader.setUint16(28, name.length, true);
+        centralHeader.setUint32(42, offset, true);
+        new Uint8Array(centralHeader.buffer).set(name, 46);
+
+        parts.push(localHeader, file.data);
+        centralDirectory.push(centralHeader);
+        offset += localHeader.byteLength + file.data.length;
+    }
+
+    const centralDirectorySize = centralDirectory.reduce((size, header) => size + header.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);                // End of central directory signature.
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralDirectorySize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...centralDirectory, end], { type: "application/zip" });
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Fill the export size with the render resolution, the first time the export is used.
+function initializeExportSize() {
+    const widthInput = document.getElementById("exportWidth");
+    const heightInput = document.getElementById("exportHeight");
+    if (!widthInput.value)
+        widthInput.value = currentWindowSize[0];
+    if (!heightInput.value)
+        heightInput.value = currentWindowSize[1];
+}
+
+async function onExportImage() {
+    if (!device || !computePipeline || !globalThis.allocatedResources || currentMode != RENDER_MODE || exportPending)
+        return;
+
+    initializeExportSize();
+    const maxSize = device.limits.maxTextureDimension2D;
+    const width = parseInt(document.getElementById("exportWidth").value);
+    const height = parseInt(document.getElementById("exportHeight").value);
+    if (!(width > 0 && width <= maxSize && height > 0 && height <= maxSize)) {
+        diagnosticsArea.setValue("Export size must be between 1 and " + maxSize + " pixels.");
+        return;
+    }
+
+    const exportFormat = document.getElementById("exportFormat").value;
+    const outputFormat = allocatedResources.get("outputTexture").format;
+    if (exportFormat == "exr" && !isFloatTextureFormat(outputFormat)) {
+        diagnosticsArea.setValue("EXR export needs a float output texture, the output format is '" + outputFormat + "'.");
+        return;
+    }
+
+    exportPending = true;
+    try {
+        const image = await renderOffscreenImage(width, height);
+        if (exportFormat == "exr")
+            downloadBlob(encodeEXR(image), "slang-playground.exr");
+        else
+            downloadBlob(await encodePNG(image), "slang-playground.png");
+    }
+    catch (error) {
+        diagnosticsArea.setValue("Error when exporting the image: " + error.message);
+    }
+    finally {
+        exportPending = false;
+    }
+}
+
+// Start or stop recording the canvas to a WebM video, which is downloaded when the recording stops.
+function onToggleVideoRecording() {
+    const button = document.getElementById("recordVideoButton");
+    if (videoRecorder) {
+        videoRecorder.stop();
+        return;
+    }
+    if (currentMode != RENDER_MODE)
+        return;
+
+    // Some browsers, like Safari, can't record WebM.
+    if (typeof MediaRecorder == "undefined" || !MediaRecorder.isTypeSupported("video/webm")) {
+        diagnosticsArea.setValue("Error when recording the video: this browser can't record WebM videos.");
+        return;
+    }
+
+    const chunks = [];
+    try {
+        videoRecorder = new MediaRecorder(canvas.captureStream(), { mimeType: "video/webm" });
+    }
+    catch (error) {
+        diagnosticsArea.setValue("Error when recording the video: " + error.message);
+        return;
+    }
+    videoRecorder.ondataavailable = (event) => chunks.push(event.data);
+    videoRecorder.onstop = () => {
+        videoRecorder = null;
+        button.textContent = "Record";
+        downloadBlob(new Blob(chunks, { type: "video/webm" }), "slang-playground.webm");
+    };
+    videoRecorder.start();
+    button.textContent = "Stop";
+}
+
+function updateFrameSequenceStatus(text) {
+    document.getElementById("frameSequenceStatus").textContent = text;
+}
+
+// Render a frame of the sequence, and keep it as a PNG file. The time of the i-th frame is i / fps.
+async function renderSequenceFrame() {
+    const sequence = frameSequence;
+    playback.deltaTime = sequence.frameIndex == 0 ? 0 : 1 / sequence.fps;
+    playback.time = sequence.frameIndex / sequence.fps;
+    updatePlaybackControls();
+
+    try {
+        await renderFrame();
+        const image = await readBackImage(allocatedResources.get("outputTexture"));
+        const png = await encodePNG(image);
+        sequence.files.push({
+            name: "frame_" + String(sequence.frameIndex).padStart(5, "0") + ".png",
+            data: new Uint8Array(await png.arrayBuffer()),
+        });
+    }
+    catch (error) {
+        // The render loop reports the error and stops.
+        frameSequence = null;
+        document.getElementById("frameSequenceButton").textContent = "Render frames";
+        updateFrameSequenceStatus("failed");
+        throw error;
+    }
+
+    sequence.frameIndex++;
+    updateFrameSequenceStatus(sequence.frameIndex + " / " + sequence.frameCount);
+    // Running a new shader or resizing the canvas aborts the sequence, and starts a new render loop.
+    const aborted = abortRender || currentMode != RENDER_MODE;
+    if (sequence.frameIndex < sequence.frameCount && !sequence.cancelled && !aborted)
+        return true;
+
+    frameSequence = null;
+    document.getElementById("frameSequenceButton").textContent = "Render frames";
+    if (sequence.frameIndex == sequence.frameCount) {
+        downloadBlob(createZip(sequence.files), "slang-playground-frames.zip");
+        updateFrameSequenceStatus("");
+    }
+    else {
+        updateFrameSequenceStatus("cancelled");
+    }
+
+    // Go back to the interactive render loop, which takes over once this one is done.
+    if (!aborted) {
+        playback.lastTimeMS = null;
+        startRendering();
+    }
+    return false;
+}
+
+// Render a number of frames at a fixed timestep from freshly initialized resources, independently of the display
+// refresh rate, and download them as a zip of PNG files.
+function onRenderFrameSequence() {
+    if (frameSequence) {
+        frameSequence.cancelled = true;
+        return;
+    }
+    if (!computePipeline || !passThroughPipeline || currentMode != RENDER_MODE)
+        return;
+
+    const frameCount = parseInt(document.getElementById("frameSequenceCount").value);
+    const fps = Number(document.getElementById("frameSequenceFps").value);
+    if (!(frameCount > 0 && fps > 0)) {
+        diagnosticsArea.setValue("The frame count and the frame rate of the sequence must be positive.");
+        return;
+    }
+
+    const setupSequence = async () => {
+        // Start from the initial state of the resources, so that the sequence can be reproduced.
+        if (globalThis.allocatedResources)
+            freeAllocatedResources(globalThis.allocatedResources);
+        const allocatedResources = await processResourceCommands(
+            computePipeline, resourceBindings, resourceReflection, resourceCommands, null, frameSequenceRandomSeed);
+        globalThis.allocatedResources = allocatedResources;
+        computePipeline.createBindGroup(allocatedResources);
+
+        passThroughPipeline.inputTexture = allocatedResources.get("outputTexture");
+        passThroughPipeline.createBindGroup();
+
+        for (const pipeline of extraComputePipelines)
+            pipeline.createBindGroup(allocatedResources);
+
+        resetFrameCountersIfRecreated(null, allocatedResources);
+        frameSequence = { frameCount: frameCount, fps: fps, frameIndex: 0, files: [], cancelled: false };
+        document.getElementById("frameSequenceButton").textContent = "Cancel";
+        updateFrameSequenceStatus("0 / " + frameCount);
+    };
+
+    withRenderLock(setupSequence, renderSequenceFrame);
+}
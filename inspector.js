@@ -0,0 +1,435 @@
+// Buffer and texture inspectors: read back the resources in `allocatedResources` and show their contents.
+// Buffers are decoded with the element type from the reflection of the running program, textures are
+// decoded according to their format.
+
+const inspectorPageSize = 256;
+
+var inspectorSelect = null;
+var inspectorData = null;         // ArrayBuffer copy of the last read-back.
+var inspectorDataName = "";       // Name of the buffer `inspectorData` was read from.
+var inspectorPage = 0;
+var inspectorReadPending = false;
+var inspectorDecodeError = "";    // Why the element type of the buffer can't be decoded, if it can't.
+
+// Returns the buffers that can be read back, i.e. everything but the staging buffers.
+function getInspectableBuffers() {
+    const buffers = new Map();
+    if (!globalThis.allocatedResources)
+        return buffers;
+    for (const [name, resource] of globalThis.allocatedResources) {
+        if (resource instanceof GPUBuffer && (resource.usage & GPUBufferUsage.COPY_SRC))
+            buffers.set(name, resource);
+    }
+    return buffers;
+}
+
+function updateBufferInspectorList() {
+    if (!inspectorSelect)
+        return;
+    const prevValue = inspectorSelect.value;
+    inspectorSelect.innerHTML = "";
+
+    const buffers = getInspectableBuffers();
+    for (const [name, buffer] of buffers) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name + " (" + buffer.size + " bytes)";
+        inspectorSelect.appendChild(option);
+    }
+
+    if (buffers.has(prevValue))
+        inspectorSelect.value = prevValue;
+}
+
+async function readBackBuffer(buffer) {
+    // Copies have to be a multiple of 4 bytes.
+    const size = buffer.size & ~3;
+    const stagingBuffer = device.createBuffer({ size: size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+
+    const encoder = device.createCommandEncoder({ label: 'buffer inspector encoder' });
+    encoder.copyBufferToBuffer(buffer, 0, stagingBuffer, 0, size);
+    device.queue.submit([encoder.finish()]);
+
+    await stagingBuffer.mapAsync(GPUMapMode.READ);
+    const data = stagingBuffer.getMappedRange().slice(0);
+    stagingBuffer.unmap();
+    stagingBuffer.destroy();
+    return data;
+}
+
+async function refreshBufferInspector() {
+    if (!device || !inspectorSelect || inspectorReadPending)
+        return;
+
+    const name = inspectorSelect.value;
+    const buffer = getInspectableBuffers().get(name);
+    if (!buffer)
+        return;
+
+    inspectorReadPending = true;
+    try {
+        inspectorData = await readBackBuffer(buffer);
+        if (name != inspectorDataName)
+            inspectorPage = 0;
+        inspectorDataName = name;
+    }
+    catch (error) {
+        document.getElementById("inspectorStatus").textContent = "Failed to read " + name + ": " + error.message;
+        return;
+    }
+    finally {
+        inspectorReadPending = false;
+    }
+    renderBufferInspector();
+}
+
+// Called by the render loop after every frame, to refresh the inspector if auto-refresh is enabled.
+function bufferInspectorOnFrame(frameIndex) {
+    if (!document.getElementById("inspectorAutoRefresh").checked)
+        return;
+    if (document.getElementById("bufferInspectorTab").style.display == "none")
+        return;
+    const interval = Math.max(1, parseInt(document.getElementById("inspectorRefreshInterval").value) || 1);
+    if (frameIndex % interval == 0)
+        refreshBufferInspector();
+}
+
+// Returns the rows to show as [label, text] pairs.
+function getBufferInspectorRows() {
+    const dataView = new DataView(inspectorData);
+    const rows = [];
+
+    if (document.getElementById("inspectorViewMode").value == "hex") {
+        for (let offset = 0; offset < inspectorData.byteLength; offset += 16) {
+            const words = [];
+            for (let i = offset; i < Math.min(offset + 16, inspectorData.byteLength); i += 4)
+                words.push(dataView.getUint32(i, true).toString(16).padStart(8, "0"));
+            rows.push([offset.toString(16).padStart(8, "0"), words.join(" ")]);
+        }
+        return rows;
+    }
+
+    const elementType = findReflectionParameter(resourceReflection, inspectorDataName)?.type?.resultType;
+    var stride = null;
+    inspectorDecodeError = "";
+    try {
+        stride = getBufferElementStride(resourceReflection, inspectorDataName);
+    }
+    catch (error) {
+        inspectorDecodeError = error.message;
+    }
+    var decode = (offset) => formatReflectedValue(dataView, offset, elementType);
+
+    // Without a usable element type, show the raw words as both float and uint.
+    if (!elementType || !stride) {
+        stride = 4;
+        decode = (offset) => formatReflectedScalar(dataView.getFloat32(offset, true)) + " (" + dataView.getUint32(offset, true) + ")";
+    }
+
+    for (let offset = 0, index = 0; offset + stride <= inspectorData.byteLength; offset += stride, index++) {
+        try {
+            rows.push([String(index), decode(offset)]);
+        }
+        catch (error) {
+            rows.push([String(index), "<" + error.message + ">"]);
+        }
+    }
+    return rows;
+}
+
+function renderBufferInspector() {
+    if (!inspectorData)
+        return;
+
+    var rows = getBufferInspectorRows();
+    const query = document.getElementById("inspectorSearch").value.trim();
+    if (query != "")
+        rows = rows.filter(([label, text]) => label == query || text.includes(query));
+
+    const pageCount = Math.max(1, Math.ceil(rows.length / inspectorPageSize));
+    inspectorPage = Math.min(Math.max(inspectorPage, 0), pageCount - 1);
+    const pageRows = rows.slice(inspectorPage * inspectorPageSize, (inspectorPage + 1) * inspectorPageSize);
+
+    const labelWidth = Math.max(0, ...pageRows.map(([label]) => label.length));
+    document.getElementById("inspectorContent").textContent =
+        pageRows.map(([label, text]) => label.padStart(labelWidth) + ": " + text).join("\n");
+    document.getElementById("inspectorPageInfo").textContent = "page " + (inspectorPage + 1) + " / " + pageCount;
+    document.getElementById("inspectorStatus").textContent =
+        inspectorDataName + ", " + inspectorData.byteLength + " bytes, " + rows.length + " rows" +
+        (inspectorDecodeError ? " (" + inspectorDecodeError + ", showing raw words)" : "");
+}
+
+function inspectorChangePage(delta) {
+    inspectorPage += delta;
+    renderBufferInspector();
+}
+
+//
+// Texture inspector
+//
+
+var textureInspectorSelect = null;
+var textureInspectorCanvas = null;
+var textureInspectorImage = null;   // Canvas holding the decoded texture, drawn scaled into `textureInspectorCanvas`.
+var textureInspectorTexels = null;  // {name, width, height, format, texels}, with RGBA values per texel.
+var textureInspectorView = { zoom: 1, panX: 0, panY: 0 };
+var textureInspectorDrag = null;
+var textureInspectorReadPending = false;
+
+function getInspectableTextures() {
+    const textures = new Map();
+    if (!globalThis.allocatedResources)
+        return textures;
+    for (const [name, resource] of globalThis.allocatedResources) {
+        if (resource instanceof GPUTexture && (resource.usage & GPUTextureUsage.COPY_SRC))
+            textures.set(name, resource);
+    }
+    return textures;
+}
+
+function updateTextureInspectorList() {
+    if (!textureInspectorSelect)
+        return;
+    const prevValue = textureInspectorSelect.value;
+    textureInspectorSelect.innerHTML = "";
+
+    const textures = getInspectableTextures();
+    for (const [name, texture] of textures) {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name + " (" + texture.width + "x" + texture.height + " " + texture.format + ")";
+        textureInspectorSelect.appendChild(option);
+    }
+
+    if (textures.has(prevValue))
+        textureInspectorSelect.value = prevValue;
+}
+
+// Read back a layer of a texture, and return its texels as RGBA values, in the order of the texture's rows. Large
+// textures are read back in strips of rows, so that the staging buffer stays within the buffer size limit of the
+// device. Also used to export the output texture.
+async function readBackTexture(texture, layer = 0) {
+    const { width, height, format } = texture;
+    const info = getTexelFormatInfo(format);
+    if (!info)
+        throw new Error("texture format '" + format + "' can't be read back");
+
+    // Rows of a texture-to-buffer copy must be aligned to 256 bytes.
+    const bytesPerRow = alignUp(width * info.bytesPerTexel, 256);
+    const stripHeight = Math.min(height, Math.floor(Math.min(device.limits.maxBufferSize, 256 * 1024 * 1024) / bytesPerRow));
+    if (stripHeight < 1)
+        throw new Error("a row of " + width + " texels doesn't fit in the largest buffer of the device");
+
+    const stagingBuffer = device.createBuffer({
+        size: bytesPerRow * stripHeight,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+
+    const texels = new Float64Array(width * height * 4);
+    try {
+        for (let stripY = 0; stripY < height; stripY += stripHeight) {
+            const rowCount = Math.min(stripHeight, height - stripY);
+            const encoder = device.createCommandEncoder({ label: 'texture readback encoder' });
+            encoder.copyTextureToBuffer(
+                { texture: texture, origin: { x: 0, y: stripY, z: layer } },
+                { buffer: stagingBuffer, bytesPerRow: bytesPerRow, rowsPerImage: rowCount },
+                { width: width, height: rowCount, depthOrArrayLayers: 1 });
+            device.queue.submit([encoder.finish()]);
+
+            await stagingBuffer.mapAsync(GPUMapMode.READ);
+            texels.set(decodeTexels(stagingBuffer.getMappedRange(), format, width, rowCount, bytesPerRow), stripY * width * 4);
+            stagingBuffer.unmap();
+        }
+        return texels;
+    }
+    finally {
+        stagingBuffer.destroy();
+    }
+}
+
+async function refreshTextureInspector() {
+    if (!device || !textureInspectorSelect || textureInspectorReadPending)
+        return;
+
+    const name = textureInspectorSelect.value;
+    const texture = getInspectableTextures().get(name);
+    if (!texture)
+        return;
+
+    const layerInput = document.getElementById("textureInspectorLayer");
+    const layer = Math.min(Math.max(0, parseInt(layerInput.value) || 0), texture.depthOrArrayLayers - 1);
+    layerInput.value = layer;
+
+    textureInspectorReadPending = true;
+    try {
+        const texels = await readBackTexture(texture, layer);
+        const previous = textureInspectorTexels;
+        textureInspectorTexels = { name: name, width: texture.width, height: texture.height, format: texture.format, texels: texels };
+        if (!previous || previous.name != name || previous.width != texture.width || previous.height != texture.height)
+            fitTextureInspectorView();
+    }
+    catch (error) {
+        document.getElementById("textureInspectorReadout").textContent = "Failed to read " + name + ": " + error.message;
+        return;
+    }
+    finally {
+        textureInspectorReadPending = false;
+    }
+    updateTextureInspectorImage();
+}
+
+// Called by the render loop after every frame, to refresh the inspector if auto-refresh is enabled.
+function textureInspectorOnFrame(frameIndex) {
+    if (!document.getElementById("textureInspectorAutoRefresh").checked)
+        return;
+    if (document.getElementById("textureInspectorTab").style.display == "none")
+        return;
+    const interval = Math.max(1, parseInt(document.getElementById("textureInspectorRefreshInterval").value) || 1);
+    if (frameIndex % interval == 0)
+        refreshTextureInspector();
+}
+
+// Convert the decoded texels into displayable 8-bit colors, applying exposure and channel isolation.
+function updateTextureInspectorImage() {
+    if (!textureInspectorTexels)
+        return;
+
+    const { width, height, texels } = textureInspectorTexels;
+    const enabled = ["r", "g", "b", "a"].map(c => document.getElementById("textureInspectorChannel" + c.toUpperCase()).checked);
+    const exposureScale = Math.pow(2, Number(document.getElementById("textureInspectorExposure").value));
+
+    // A single channel is shown as grayscale, alpha is only shown when it is the only channel.
+    const enabledCount = enabled.filter(x => x).length;
+    const singleChannel = enabledCount == 1 ? enabled.indexOf(true) : -1;
+
+    textureInspectorImage.width = width;
+    textureInspectorImage.height = height;
+    const context = textureInspectorImage.getContext("2d");
+    const imageData = context.createImageData(width, height);
+    const toByte = (value) => Math.min(255, Math.max(0, Math.round(value * exposureScale * 255)));
+    for (let i = 0; i < width * height; i++) {
+        for (let c = 0; c < 3; c++) {
+            var value;
+            if (singleChannel >= 0)
+                value = texels[i * 4 + singleChannel];
+            else
+                value = enabled[c] ? texels[i * 4 + c] : 0;
+            imageData.data[i * 4 + c] = toByte(value);
+        }
+        imageData.data[i * 4 + 3] = 255;
+    }
+    context.putImageData(imageData, 0, 0);
+    drawTextureInspector();
+}
+
+function isTextureInspectorFlipped() {
+    return document.getElementById("textureInspectorFlipY").checked;
+}
+
+function drawTextureInspector() {
+    const canvas = textureInspectorCanvas;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    const context = canvas.getContext("2d");
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!textureInspectorTexels)
+        return;
+
+    // Nearest-neighbor magnification, so individual texels are visible when zoomed in.
+    context.imageSmoothingEnabled = false;
+    const { zoom, panX, panY } = textureInspectorView;
+    if (isTextureInspectorFlipped())
+        context.setTransform(zoom, 0, 0, -zoom, panX, panY + textureInspectorTexels.height * zoom);
+    else
+        context.setTransform(zoom, 0, 0, zoom, panX, panY);
+    context.drawImage(textureInspectorImage, 0, 0);
+}
+
+function fitTextureInspectorView() {
+    if (!textureInspectorTexels)
+        return;
+    const canvas = textureInspectorCanvas;
+    const { width, height } = textureInspectorTexels;
+    const zoom = Math.min(canvas.clientWidth / width, canvas.clientHeight / height) || 1;
+    textureInspectorView = {
+        zoom: zoom,
+        panX: (canvas.clientWidth - width * zoom) / 2,
+        panY: (canvas.clientHeight - height * zoom) / 2,
+    };
+    drawTextureInspector();
+}
+
+// Show the exact values of the texel under the cursor.
+function updateTextureInspectorReadout(event) {
+    if (!textureInspectorTexels)
+        return;
+    const { width, height, format, texels } = textureInspectorTexels;
+    const { zoom, panX, panY } = textureInspectorView;
+    const x = Math.floor((event.offsetX - panX) / zoom);
+    var y = Math.floor((event.offsetY - panY) / zoom);
+    if (isTextureInspectorFlipped())
+        y = height - 1 - y;
+
+    const readout = document.getElementById("textureInspectorReadout");
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+        readout.textContent = "";
+        return;
+    }
+
+    const channelCount = getTexelFormatInfo(format).channels.length;
+    const values = Array.from(texels.slice((y * width + x) * 4, (y * width + x) * 4 + channelCount));
+    readout.textContent = "(" + x + ", " + y + "): " + values.map(formatReflectedScalar).join(", ");
+}
+
+function initializeTextureInspector() {
+    textureInspectorSelect = document.getElementById("textureInspectorSelect");
+    textureInspectorSelect.addEventListener('focus', updateTextureInspectorList); // for keyboard access
+    textureInspectorSelect.addEventListener('mousedown', updateTextureInspectorList); // for mouse access
+    textureInspectorSelect.addEventListener('change', refreshTextureInspector);
+
+    textureInspectorImage = document.createElement("canvas");
+    textureInspectorCanvas = document.getElementById("textureInspectorCanvas");
+
+    for (const id of ["textureInspectorChannelR", "textureInspectorChannelG", "textureInspectorChannelB", "textureInspectorChannelA"])
+        document.getElementById(id).addEventListener('change', updateTextureInspectorImage);
+    document.getElementById("textureInspectorExposure").addEventListener('input', updateTextureInspectorImage);
+    document.getElementById("textureInspectorFlipY").addEventListener('change', drawTextureInspector);
+
+    // Zoom around the cursor with the mouse wheel, pan by dragging.
+    textureInspectorCanvas.addEventListener("wheel", function (event) {
+        event.preventDefault();
+        const view = textureInspectorView;
+        const scale = event.deltaY < 0 ? 1.25 : 0.8;
+        view.panX = event.offsetX - (event.offsetX - view.panX) * scale;
+        view.panY = event.offsetY - (event.offsetY - view.panY) * scale;
+        view.zoom *= scale;
+        drawTextureInspector();
+    });
+    textureInspectorCanvas.addEventListener("mousedown", function (event) {
+        textureInspectorDrag = { x: event.offsetX, y: event.offsetY };
+    });
+    textureInspectorCanvas.addEventListener("mousemove", function (event) {
+        if (textureInspectorDrag) {
+            textureInspectorView.panX += event.offsetX - textureInspectorDrag.x;
+            textureInspectorView.panY += event.offsetY - textureInspectorDrag.y;
+            textureInspectorDrag = { x: event.offsetX, y: event.offsetY };
+            drawTextureInspector();
+        }
+        updateTextureInspectorReadout(event);
+    });
+    window.addEventListener("mouseup", function () {
+        textureInspectorDrag = null;
+    });
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    initializeTextureInspector();
+
+    inspectorSelect = document.getElementById("inspectorBufferSelect");
+    inspectorSelect.addEventListener('focus', updateBufferInspectorList); // for keyboard access
+    inspectorSelect.addEventListener('mousedown', updateBufferInspectorList); // for mouse access
+    inspectorSelect.addEventListener('change', refreshBufferInspector);
+
+    document.getElementById("inspectorViewMode").addEventListener('change', () => { inspectorPage = 0; renderBufferInspector(); });
+    document.getElementById("inspectorSearch").addEventListener('input', () => { inspectorPage = 0; renderBufferInspector(); });
+});
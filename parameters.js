@@ -0,0 +1,183 @@
+// Parameter panel: controls for the user's uniforms and ConstantBuffer fields, generated from the reflection of
+// the running program. The values are written into the uniform buffers before every frame, so they can be
+// tweaked without re-running the shader.
+
+var parameterControls = [];      // [{label, name, bufferName, offset, type, values}]
+var parameterValues = new Map(); // Values by label and type, kept across re-runs.
+
+function isEditableParameterType(type) {
+    const editableScalars = ["float32", "int32", "uint32", "bool"];
+    if (type.kind == "scalar")
+        return editableScalars.includes(type.scalarType);
+    if (type.kind == "vector")
+        return editableScalars.includes(type.elementType.scalarType) && type.elementCount <= 4;
+    return false;
+}
+
+// Collect the editable fields of a uniform, expanding structs into their fields.
+function collectParameterFields(label, name, bufferName, offset, type, controls) {
+    if (type.kind == "struct") {
+        for (const field of type.fields) {
+            if (field.binding?.kind == "uniform")
+                collectParameterFields(label + "." + field.name, field.name, bufferName, offset + field.binding.offset, field.type, controls);
+        }
+    }
+    else if (isEditableParameterType(type)) {
+        controls.push({ label: label, name: name, bufferName: bufferName, offset: offset, type: type });
+    }
+}
+
+function getParameterControls(reflectionJson) {
+    const controls = [];
+    for (const parameter of reflectionJson?.parameters ?? []) {
+        // The uniforms of the playground module are written by the render loop.
+        if (parameter.name == "uniformInput")
+            continue;
+
+        if (parameter.binding?.kind == "uniform") {
+            collectParameterFields(parameter.name, parameter.name, "uniformInput", parameter.binding.offset, parameter.type, controls);
+        }
+        else if (parameter.type?.kind == "constantBuffer" && parameter.type.elementType?.kind == "struct") {
+            for (const field of parameter.type.elementType.fields) {
+                if (field.binding?.kind == "uniform")
+                    collectParameterFields(parameter.name + "." + field.name, field.name, parameter.name, field.binding.offset, field.type, controls);
+            }
+        }
+    }
+    return controls;
+}
+
+function getParameterComponentCount(type) {
+    return type.kind == "vector" ? type.elementCount : 1;
+}
+
+function getParameterScalarType(type) {
+    return type.kind == "vector" ? type.elementType.scalarType : type.scalarType;
+}
+
+function colorToHex(values) {
+    return "#" + values.slice(0, 3).map(x => Math.round(Math.min(1, Math.max(0, x)) * 255).toString(16).padStart(2, "0")).join("");
+}
+
+function hexToColor(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+function createParameterInput(type, attributes) {
+    const input = document.createElement("input");
+    input.type = type;
+    Object.assign(input, attributes);
+    return input;
+}
+
+// Create the inputs of one control, which update `control.values` when edited.
+function createParameterEditor(control, annotation) {
+    const editor = document.createElement("div");
+    editor.className = "parameterEditor";
+
+    const scalarType = getParameterScalarType(control.type);
+    const componentCount = getParameterComponentCount(control.type);
+    const isColor = scalarType == "float32" && componentCount >= 3 && annotation?.type !== "SLIDER";
+
+    if (scalarType == "bool") {
+        for (let i = 0; i < componentCount; i++) {
+            const checkbox = createParameterInput("checkbox", { checked: control.values[i] != 0 });
+            checkbox.addEventListener("change", () => { control.values[i] = checkbox.checked ? 1 : 0; });
+            editor.appendChild(checkbox);
+        }
+    }
+    else if (isColor) {
+        const picker = createParameterInput("color", { value: colorToHex(control.values) });
+        picker.addEventListener("input", () => { control.values.splice(0, 3, ...hexToColor(picker.value)); });
+        editor.appendChild(picker);
+        if (componentCount == 4) {
+            const alpha = createParameterInput("range", { min: 0, max: 1, step: 0.01, value: control.values[3], title: "alpha" });
+            alpha.addEventListener("input", () => { control.values[3] = Number(alpha.value); });
+            editor.appendChild(alpha);
+        }
+    }
+    else {
+        const step = scalarType == "float32" ? "any" : 1;
+        for (let i = 0; i < componentCount; i++) {
+            const number = createParameterInput("number", { className: "parameterNumber", step: step, value: control.values[i] });
+            if (annotation?.type === "SLIDER") {
+                const slider = createParameterInput("range", {
+                    min: annotation.min, max: annotation.max, step: scalarType == "float32" ? (annotation.max - annotation.min) / 1000 : 1,
+                    value: control.values[i],
+                });
+                slider.addEventListener("input", () => { control.values[i] = Number(slider.value); number.value = slider.value; });
+                number.addEventListener("change", () => { control.values[i] = Number(number.value); slider.value = number.value; });
+                editor.appendChild(slider);
+            }
+            else {
+                number.addEventListener("change", () => { control.values[i] = Number(number.value); });
+            }
+            editor.appendChild(number);
+        }
+    }
+    return editor;
+}
+
+function getParameterDefaultValues(control, annotation) {
+    const componentCount = getParameterComponentCount(control.type);
+    const values = new Array(componentCount).fill(0);
+    if (annotation?.type === "SLIDER")
+        values.fill(annotation.value);
+    else if (annotation?.type === "COLOR")
+        values.splice(0, annotation.value.length, ...annotation.value.slice(0, componentCount));
+    return values;
+}
+
+// Rebuild the panel for a newly compiled program. Values of parameters that still exist are kept.
+function updateParameterPanel(reflectionJson, resourceCommands) {
+    const annotations = new Map();
+    for (const { resourceName, parsedCommand } of resourceCommands ?? []) {
+        if (isParameterAnnotation(parsedCommand))
+            annotations.set(resourceName, parsedCommand);
+    }
+
+    const panel = document.getElementById("parameterList");
+    panel.innerHTML = "";
+
+    parameterControls = getParameterControls(reflectionJson);
+    for (const control of parameterControls) {
+        const annotation = annotations.get(control.name);
+        const key = control.label + ":" + JSON.stringify(control.type);
+        if (!parameterValues.has(key))
+            parameterValues.set(key, getParameterDefaultValues(control, annotation));
+        control.values = parameterValues.get(key);
+
+        const row = document.createElement("div");
+        row.className = "parameterRow";
+        const label = document.createElement("label");
+        label.className = "parameterLabel";
+        label.textContent = control.label;
+        row.appendChild(label);
+        row.appendChild(createParameterEditor(control, annotation));
+        panel.appendChild(row);
+    }
+
+    document.getElementById("parameterStatus").textContent = parameterControls.length == 0 ?
+        "The shader has no uniforms or ConstantBuffer fields to edit." : "";
+}
+
+// Forget the edited values, and show the defaults from the annotations again.
+function resetParameterValues() {
+    parameterValues.clear();
+    updateParameterPanel(resourceReflection, resourceCommands);
+}
+
+// Write the current values into their uniform buffers, called before every frame.
+function writeParameterValues(device, allocatedResources) {
+    for (const control of parameterControls) {
+        const buffer = allocatedResources.get(control.bufferName);
+        if (!buffer)
+            continue;
+
+        const scalarType = getParameterScalarType(control.type);
+        const data = new DataView(new ArrayBuffer(control.values.length * 4));
+        for (let i = 0; i < control.values.length; i++)
+            writeReflectedScalar(data, i * 4, scalarType, control.values[i]);
+        device.queue.writeBuffer(buffer, control.offset, data.buffer);
+    }
+}
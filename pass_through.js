@@ -6,6 +6,19 @@ var passThroughshaderCode = `
         @location(0) texcoord: vec2f,
       };
 
+      struct DisplayParams {
+        // xy: size of the image in normalized device coordinates, zw: position of its center.
+        rect: vec4f,
+        // The color is scaled by 2^exposure before tone mapping.
+        exposure: f32,
+        // 0: clamp, 1: Reinhard, 2: ACES, 3: heat map of the luminance.
+        toneMapping: u32,
+        // Largest value shown by the clamp mode, above 1 on HDR canvases.
+        maxValue: f32,
+      };
+
+      @group(0) @binding(2) var<uniform> displayParams: DisplayParams;
+
       @vertex fn vs(
         @builtin(vertex_index) vertexIndex : u32
       ) -> VertexShaderOutput {
@@ -35,7 +48,7 @@ var passThroughshaderCode = `
 
         var vsOutput: VertexShaderOutput;
         let xy = pos[vertexIndex];
-        vsOutput.position = vec4f(xy, 0.0, 1.0);
+        vsOutput.position = vec4f(xy * displayParams.rect.xy + displayParams.rect.zw, 0.0, 1.0);
         vsOutput.texcoord = uv[vertexIndex];
         return vsOutput;
       }
@@ -43,9 +56,36 @@ var passThroughshaderCode = `
       @group(0) @binding(0) var ourSampler: sampler;
       @group(0) @binding(1) var ourTexture: texture_2d<f32>;
 
+      // Map the luminance to a blue, green, red ramp on a log scale: 1/16 is blue, 1 is green and 16 is red.
+      fn heatMap(luminance: f32) -> vec3f {
+          let t = clamp((log2(max(luminance, 1e-6)) + 4.0) / 8.0, 0.0, 1.0);
+          return clamp(vec3f(min(4.0 * t - 1.5, 4.5 - 4.0 * t),
+                             min(4.0 * t - 0.5, 3.5 - 4.0 * t),
+                             min(4.0 * t + 0.5, 2.5 - 4.0 * t)), vec3f(0.0), vec3f(1.0));
+      }
+
+      fn toneMap(hdrColor: vec3f) -> vec3f {
+          let color = max(hdrColor * exp2(displayParams.exposure), vec3f(0.0));
+          switch displayParams.toneMapping {
+              case 1u: {
+                  return color / (1.0 + color);
+              }
+              case 2u: {
+                  // Fit of the ACES filmic curve by Krzysztof Narkowicz.
+                  return clamp((color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14), vec3f(0.0), vec3f(1.0));
+              }
+              case 3u: {
+                  return heatMap(dot(color, vec3f(0.2126, 0.7152, 0.0722)));
+              }
+              default: {
+                  return min(color, vec3f(displayParams.maxValue));
+              }
+          }
+      }
+
       @fragment fn fs(fsInput: VertexShaderOutput) -> @location(0) vec4f {
           let color = textureSample(ourTexture, ourSampler, fsInput.texcoord);
-          return color;
+          return vec4f(toneMap(color.rgb), color.a);
       }
 `;
 
@@ -56,11 +96,19 @@ class GraphicsPipeline
     device;
     pipeline;
     sampler;
+    samplers;
+    displayParamsBuffer;
     pipelineLayout;
+    shaderModule;
+    targetFormat;
+    // Without the 'float32-filterable' feature, 'rgba32float' input textures are bound as unfilterable, and sampled
+    // with the nearest filter.
+    filterable = true;
 
     constructor(device)
     {
         this.device = device;
+        this.targetFormat = navigator.gpu.getPreferredCanvasFormat();
     }
 
     createGraphicsPipelineLayout()
@@ -69,54 +117,121 @@ class GraphicsPipeline
         const bindGroupLayoutDescriptor = {
             label: 'pass through pipeline bind group layout',
             entries: [
-                {binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {}},
-                {binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {sampleType: 'float'}},
+                {binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {type: this.filterable ? 'filtering' : 'non-filtering'}},
+                {binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {sampleType: this.filterable ? 'float' : 'unfilterable-float'}},
+                {binding: 2, visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT, buffer: {type: 'uniform'}},
             ],
         };
 
-        const bindGroupLayout = device.createBindGroupLayout(bindGroupLayoutDescriptor);
-        const layout = device.createPipelineLayout({bindGroupLayouts: [bindGroupLayout]});
+        const bindGroupLayout = this.device.createBindGroupLayout(bindGroupLayoutDescriptor);
+        const layout = this.device.createPipelineLayout({bindGroupLayouts: [bindGroupLayout]});
         this.pipelineLayout = layout;
     }
 
     createPipeline(shaderModule, inputTexture)
     {
         this.createGraphicsPipelineLayout();
+        this.shaderModule = shaderModule;
+        this.createRenderPipeline();
+
+        this.samplers = {
+            nearest: this.device.createSampler(),
+            linear: this.device.createSampler({magFilter: 'linear', minFilter: 'linear'}),
+        };
+        this.sampler = this.samplers.nearest;
+        this.displayParamsBuffer = this.device.createBuffer({size: 32, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST});
+        this.device.queue.writeBuffer(this.displayParamsBuffer, 0, new Float32Array([1, 1, 0, 0, 0, 0, 1, 0]));
+        this.inputTexture = inputTexture;
+        this.createBindGroup();
+    }
 
-        const pipeline = device.createRenderPipeline({
+    createRenderPipeline()
+    {
+        const pipeline = this.device.createRenderPipeline({
             label: 'pass through pipeline',
             layout: this.pipelineLayout,
             vertex:
             {
-              module: shaderModule
+              module: this.shaderModule
             },
             fragment:
             {
-              module: shaderModule,
-              targets: [{format: navigator.gpu.getPreferredCanvasFormat(),}]
+              module: this.shaderModule,
+              targets: [{format: this.targetFormat,}]
             },
             });
         this.pipeline = pipeline;
+    }
 
-        this.sampler = device.createSampler();
-        this.inputTexture = inputTexture;
-        this.createBindGroup();
+    // Change the format of the canvas the pipeline renders to.
+    setTargetFormat(format)
+    {
+        if (format == this.targetFormat)
+            return;
+        this.targetFormat = format;
+        if (this.pipeline)
+        {
+            this.createRenderPipeline();
+            this.createBindGroup();
+        }
     }
 
     createBindGroup()
     {
-        const bindGroup = device.createBindGroup({
+        const filterable = this.inputTexture.format != 'rgba32float' || this.device.features.has('float32-filterable');
+        if (filterable != this.filterable)
+        {
+            this.filterable = filterable;
+            this.sampler = this.samplers.nearest;
+            this.createGraphicsPipelineLayout();
+            this.createRenderPipeline();
+        }
+
+        const bindGroup = this.device.createBindGroup({
           label: 'pass through pipeline bind group',
           layout: this.pipeline.getBindGroupLayout(0),
           entries: [
             { binding: 0, resource: this.sampler },
             { binding: 1, resource: this.inputTexture.createView() },
+            { binding: 2, resource: {buffer: this.displayParamsBuffer} },
           ],
         });
 
         this.bindGroup = bindGroup;
     }
 
+    // Show the input texture in a rectangle of the canvas given in pixels (see getBlitRect), sampled with the
+    // 'nearest' or 'linear' filter.
+    setDisplayRect(canvasSize, rect, filter)
+    {
+        const ndcRect = new Float32Array([
+            rect.width / canvasSize[0],
+            rect.height / canvasSize[1],
+            (2 * rect.left + rect.width) / canvasSize[0] - 1,
+            1 - (2 * rect.top + rect.height) / canvasSize[1],
+        ]);
+        this.device.queue.writeBuffer(this.displayParamsBuffer, 0, ndcRect);
+
+        if (!this.filterable)
+            filter = "nearest";
+        if (this.sampler != this.samplers[filter])
+        {
+            this.sampler = this.samplers[filter];
+            this.createBindGroup();
+        }
+    }
+
+    // Set the tone mapping mode (see DisplayParams), the exposure in stops, and the largest value shown without
+    // tone mapping.
+    setToneMapping(toneMapping, exposure, maxValue)
+    {
+        const data = new DataView(new ArrayBuffer(16));
+        data.setFloat32(0, exposure, true);
+        data.setUint32(4, toneMapping, true);
+        data.setFloat32(8, maxValue, true);
+        this.device.queue.writeBuffer(this.displayParamsBuffer, 16, data.buffer);
+    }
+
     createRenderPassDesc()
     {
         const renderPassDescriptor = {
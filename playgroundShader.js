@@ -1,19 +1,75 @@
+// Fields of the uniforms written by the render loop every frame. The Slang struct and the layout used to write
+// it are both generated from this list, so adding a uniform only needs a new entry here, a value for it in
+// `execFrame` and an accessor below.
+const maxTouchPoints = 8;
+const uniformInputFields = [
+    { name: "mousePosition", type: "float4" },
+    { name: "time", type: "float" },
+    { name: "deltaTime", type: "float" },
+    { name: "debugPixel", type: "int2" },   // Pixel selected in the pixel debugger, or -1 when not capturing.
+    { name: "printEnabled", type: "uint" }, // Set on the frames whose printed messages are read back.
+    { name: "assertEnabled", type: "uint" }, // Set on the frames whose failed assertions are read back.
+    { name: "resolution", type: "float2" },
+    { name: "frameIndex", type: "uint" },
+    { name: "date", type: "float4" },
+    { name: "keysDown", type: "uint4" },    // One bit per key code below 128.
+    { name: "keysToggled", type: "uint4" },
+    { name: "pointerPressure", type: "float" },
+    { name: "touchCount", type: "uint" },
+    { name: "touches", type: "float4", count: maxTouchPoints },
+];
 
 const playgroundSource = `
 internal struct UniformInput
 {
-    float4 mousePosition;
-    float time;
+${uniformInputFields.map(field => "    " + field.type + " " + field.name + (field.count ? "[" + field.count + "]" : "") + ";").join("\n")}
 }
 
 internal uniform UniformInput uniformInput;
 
-// Returns the current time in milliseconds.
+// Returns the current time in seconds.
 public float getTime()
 {
     return uniformInput.time;
 }
 
+// Returns the time elapsed since the previous frame.
+public float getDeltaTime()
+{
+    return uniformInput.deltaTime;
+}
+
+// Returns the number of frames rendered since the shader was run.
+public uint getFrameIndex()
+{
+    return uniformInput.frameIndex;
+}
+
+// Returns the resolution of the output texture in pixels.
+public float2 getResolution()
+{
+    return uniformInput.resolution;
+}
+
+// Returns the local date: x: year, y: month (0 to 11), z: day of the month (1 to 31), w: seconds since midnight.
+public float4 getDate()
+{
+    return uniformInput.date;
+}
+
+// Returns true while the key is held down, while the canvas has the focus. Key codes are the ones of
+// KeyboardEvent.keyCode, e.g. 65 for 'A' and 37 to 40 for the arrow keys.
+public bool isKeyDown(uint keyCode)
+{
+    return keyCode < 128 && (uniformInput.keysDown[keyCode / 32] & (1u << (keyCode % 32))) != 0;
+}
+
+// Returns true if the key has been pressed an odd number of times.
+public bool isKeyToggled(uint keyCode)
+{
+    return keyCode < 128 && (uniformInput.keysToggled[keyCode / 32] & (1u << (keyCode % 32))) != 0;
+}
+
 // Returns mouse position info.
 // xy: mouse position (in pixels) during last button down.
 // abs(zw): mouse position during last button click.
@@ -22,7 +78,26 @@ public float getTime()
 //
 public float4 getMousePosition() { return uniformInput.mousePosition; }
 
-// type field: 1 for format string, 2 for normal string, 3 for integer, 4 for float, 5 for double, 
+// Returns the pressure of the pen or touch driving getMousePosition(), between 0 and 1.
+// A pressed mouse button reports 0.5, and 0 is returned when nothing is pressed.
+public float getPointerPressure() { return uniformInput.pointerPressure; }
+
+// Returns the number of pointers (touches, pens or mouse) pressed on the canvas, up to ${maxTouchPoints}.
+public uint getTouchCount() { return uniformInput.touchCount; }
+
+// Returns the touch point at an index below getTouchCount(), in the order the pointers were pressed.
+// xy: current position (in pixels).
+// zw: position where the pointer was pressed.
+public float4 getTouchPoint(uint index)
+{
+    return index < uniformInput.touchCount ? uniformInput.touches[index] : float4(0);
+}
+
+// type field: 1 for format string (high: index of the printing thread), 2 for normal string, 3 for unsigned
+// integer, 4 for float, 5 for double, 6 for signed integer, 7 for int64, 8 for uint64, 9 for bool, 10 for a
+// vector header (low: element count), 11 for a matrix header (low: row count, high: column count) and 12 for a
+// failed assertion (low: line of the ASSERT, or 0, high: index of the thread). Vector and matrix headers are followed by
+// one entry per element, in row-major order, and failed assertions by their message as a normal string.
 struct FormattedStruct
 {
     uint32_t type = 0xFFFFFFFF;
@@ -32,71 +107,228 @@ struct FormattedStruct
 
 // This is global variable, intead of shader parameter.
 internal static int g_printBufferIndex = 0;
+internal static uint g_printThreadIndex = 0xFFFFFFFF;  // Unknown, unless set by the entry point.
+internal static bool g_printEnabled = true;  // Cleared for the imageMain invocations of unselected pixels.
 
 internal RWStructuredBuffer<FormattedStruct> g_printedBuffer;
 
+// [0]: write cursor, i.e. the number of elements requested so far, [1]: number of dropped messages.
+internal RWStructuredBuffer<Atomic<uint>> g_printState;
+
+// Called by the print entry point, to tag the messages of each thread with its index.
+public void beginPrintThread(uint threadIndex)
+{
+    g_printThreadIndex = threadIndex;
+}
+
+// Called by the image entry point, so that only the invocation of the pixel selected in the pixel debugger prints.
+public void beginImagePixel(uint2 pixel, uint width)
+{
+    g_printThreadIndex = pixel.y * width + pixel.x;
+    g_printEnabled = all(int2(pixel) == uniformInput.debugPixel);
+}
+
+internal static uint2 g_workgroupThreadID = uint2(0, 0);
+internal static uint2 g_workgroupID = uint2(0, 0);
+
+// Called by the image entry point, with the position of the invocation in its workgroup and of the workgroup.
+public void beginImageWorkgroup(uint2 groupThreadID, uint2 groupID)
+{
+    g_workgroupThreadID = groupThreadID;
+    g_workgroupID = groupID;
+}
+
+// Returns the position of the current imageMain invocation in its workgroup, whose size is set with
+// '//! WORKGROUP_SIZE(x, y)'. Together with groupshared memory, this allows tile-based image kernels.
+public uint2 getWorkgroupThreadID() { return g_workgroupThreadID; }
+
+// Returns the position of the workgroup of the current imageMain invocation, in workgroups.
+public uint2 getWorkgroupID() { return g_workgroupID; }
+
+internal uint getPrintBufferCapacity()
+{
+    uint count = 0;
+    uint stride = 0;
+    g_printedBuffer.GetDimensions(count, stride);
+    return count;
+}
+
+internal void writePrintfElement(uint32_t type, uint2 words)
+{
+    if (g_printBufferIndex >= getPrintBufferCapacity())
+        return;
+    g_printedBuffer[g_printBufferIndex].type = type;
+    g_printedBuffer[g_printBufferIndex].low = words.x;
+    g_printedBuffer[g_printBufferIndex].high = words.y;
+    g_printBufferIndex++;
+}
+
 interface IPrintf
+{
+    // Number of print buffer elements written by writePrintf().
+    int printfElementCount();
+    void writePrintf();
+};
+
+// Scalars are written as a single element, vectors and matrices as a header followed by their scalars.
+interface IPrintfScalar
 {
     uint32_t typeFlag();
-    uint32_t writePrintfWords();
+    uint2 writePrintfWords();
 };
 
-extension uint : IPrintf
+extension<T : IPrintfScalar> T : IPrintf
 {
-    uint32_t typeFlag() { return 3;}
-    uint32_t writePrintfWords() { return (uint32_t)this; }
+    int printfElementCount() { return 1; }
+    void writePrintf() { writePrintfElement(this.typeFlag(), this.writePrintfWords()); }
 }
 
-extension int : IPrintf
+extension uint : IPrintfScalar
 {
     uint32_t typeFlag() { return 3;}
-    uint32_t writePrintfWords() { return (uint32_t)this; }
+    uint2 writePrintfWords() { return uint2((uint32_t)this, 0); }
+}
+
+extension int : IPrintfScalar
+{
+    uint32_t typeFlag() { return 6;}
+    uint2 writePrintfWords() { return uint2((uint32_t)this, 0); }
+}
+
+extension int64_t : IPrintfScalar
+{
+    uint32_t typeFlag() { return 7;}
+    uint2 writePrintfWords() { return uint2((uint32_t)this, (uint32_t)(this >> 32)); }
 }
 
-// extension int64_t : IPrintf
-// {
-//     uint64_t writePrintfWords() { return (uint64_t)this; }
-// }
+extension uint64_t : IPrintfScalar
+{
+    uint32_t typeFlag() { return 8;}
+    uint2 writePrintfWords() { return uint2((uint32_t)this, (uint32_t)(this >> 32)); }
+}
 
-// extension uint64_t : IPrintf
-// {
-//     uint64_t writePrintfWords() { return (uint64_t)this; }
-// }
+extension float : IPrintfScalar
+{
+    uint32_t typeFlag() { return 4;}
+    uint2 writePrintfWords() { return uint2(bit_cast<uint32_t>(this), 0); }
+}
 
-extension float : IPrintf
+extension half : IPrintfScalar
 {
     uint32_t typeFlag() { return 4;}
-    uint32_t writePrintfWords() { return bit_cast<uint32_t>(this); }
+    uint2 writePrintfWords() { return uint2(bit_cast<uint32_t>((float)this), 0); }
+}
+
+extension double : IPrintfScalar
+{
+    uint32_t typeFlag() { return 5;}
+    uint2 writePrintfWords() { return bit_cast<uint2>(this); }
 }
 
-// extension double : IPrintf
-// {
-//     uint64_t writePrintfWords() { return bit_cast<uint64_t>(this); }
-// }
+extension bool : IPrintfScalar
+{
+    uint32_t typeFlag() { return 9;}
+    uint2 writePrintfWords() { return uint2(this ? 1 : 0, 0); }
+}
+
+extension<T : IPrintfScalar, let N : int> vector<T, N> : IPrintf
+{
+    int printfElementCount() { return N + 1; }
+
+    void writePrintf()
+    {
+        writePrintfElement(10, uint2(N, 0));
+        for (int i = 0; i < N; i++)
+            writePrintfElement(this[i].typeFlag(), this[i].writePrintfWords());
+    }
+}
+
+extension<T : IPrintfScalar, let R : int, let C : int> matrix<T, R, C> : IPrintf
+{
+    int printfElementCount() { return R * C + 1; }
+
+    void writePrintf()
+    {
+        writePrintfElement(11, uint2(R, C));
+        for (int r = 0; r < R; r++)
+            for (int c = 0; c < C; c++)
+                writePrintfElement(this[r][c].typeFlag(), this[r][c].writePrintfWords());
+    }
+}
 
 extension String : IPrintf
 {
-    uint32_t typeFlag() { return 2;}
-    uint32_t writePrintfWords() { return getStringHash(this); }
+    int printfElementCount() { return 1; }
+    void writePrintf() { writePrintfElement(2, uint2(getStringHash(this), 0)); }
+}
+
+void handleEach<T>(T value) where T :  IPrintf
+{
+    value.writePrintf();
 }
 
-void handleEach<T>(T value, int index) where T :  IPrintf
+void countEach<T>(T value, inout int count) where T : IPrintf
 {
-    g_printedBuffer[index].type = value.typeFlag();
-    g_printedBuffer[index].low = value.writePrintfWords();
+    count += value.printfElementCount();
 }
 
 public void print<each T>(String format, expand each T values) where T : IPrintf
 {
-    //if (format.length != 0)
+    // Nothing is read back on most frames, so don't fill the print buffer for nothing.
+    if (uniformInput.printEnabled == 0 || !g_printEnabled)
+        return;
+
+    // Reserve the elements of the whole message at once, so that messages printed by concurrent threads don't
+    // interleave. Messages that don't fit in the buffer are dropped as a whole, and counted.
+    int elementCount = 2; // format string and terminator
+    expand(countEach(each values, elementCount));
+
+    uint start = g_printState[0].add(elementCount);
+    if (start + elementCount > getPrintBufferCapacity())
     {
-        g_printedBuffer[g_printBufferIndex].type = 1;
-        g_printedBuffer[g_printBufferIndex].low = getStringHash(format);
-        g_printBufferIndex++;
-        expand(handleEach(each values, g_printBufferIndex++));
+        g_printState[1].add(1);
+        return;
+    }
+    g_printBufferIndex = start;
+
+    writePrintfElement(1, uint2(getStringHash(format), g_printThreadIndex));
+    expand(handleEach(each values));
+
+    writePrintfElement(0xFFFFFFFF, uint2(0, 0));
+}
+
+// Reports a failure if the condition is false. Failures are collected like printed messages, and reported with
+// the ID of the failing thread and how many times they fired. ASSERT(condition) and ASSERT(condition, message)
+// also report the line they are called from, see userSourcePrelude.
+public void assert(bool condition, String message)
+{
+    assertAtLine(0, condition, message);
+}
+
+public void assert(bool condition)
+{
+    assertAtLine(0, condition, "");
+}
+
+public void assertAtLine(uint line, bool condition)
+{
+    assertAtLine(line, condition, "");
+}
+
+public void assertAtLine(uint line, bool condition, String message)
+{
+    if (condition || uniformInput.assertEnabled == 0)
+        return;
 
-        g_printedBuffer[g_printBufferIndex++] = {};
+    uint index = g_printState[0].add(2);
+    if (index + 2 > getPrintBufferCapacity())
+    {
+        g_printState[1].add(1);
+        return;
     }
+    g_printBufferIndex = index;
+    writePrintfElement(12, uint2(line, g_printThreadIndex));
+    writePrintfElement(2, uint2(getStringHash(message), 0));
 }
 
 [OverloadRank(1)]
@@ -105,3 +337,8 @@ public void printf<each T>(String format, expand each T values) where T : IPrint
     print(format, expand each values);
 }
 `;
+
+// Prepended to the user's module when it is linked with the playground module, so that ASSERT(condition) and
+// ASSERT(condition, message) pass the line they are called from. The macro has its own name, so that it doesn't
+// rewrite other functions or members named assert. '#line 1' keeps the line numbers of the diagnostics unchanged.
+const userSourcePrelude = "#define ASSERT(...) assertAtLine(__LINE__, __VA_ARGS__)\n#line 1\n";
@@ -0,0 +1,143 @@
+// Per-pass GPU timings, measured with timestamp queries when the device supports 'timestamp-query'.
+// Without it, only the CPU time of the whole frame can be measured, and is reported as a single row.
+class PassProfiler
+{
+    // WebGPU query sets hold at most 4096 queries, two per pass.
+    static MAX_PASSES = 2048;
+    static WINDOW_SIZE = 60;
+
+    device;
+    supportsTimestamps;
+    passCapacity = 0;
+    querySet = null;
+    resolveBuffer = null;
+    readBuffer = null;
+
+    // Names of the passes with timestamp writes in the current frame, in query order.
+    passNames = [];
+
+    // Number of passes of the last frame that couldn't be timed, because there were more than MAX_PASSES.
+    untimedPassCount = 0;
+
+    // Rolling window of per-frame durations in milliseconds, by pass name.
+    samples = new Map();
+
+    constructor(device)
+    {
+        this.device = device;
+        this.supportsTimestamps = device.features.has('timestamp-query');
+    }
+
+    // Grow the query set to hold the timestamps of `passCount` passes.
+    allocateQueries(passCount)
+    {
+        this.querySet?.destroy();
+        this.resolveBuffer?.destroy();
+        this.readBuffer?.destroy();
+
+        this.passCapacity = passCount;
+        const queryCount = 2 * passCount;
+        this.querySet = this.device.createQuerySet({ type: 'timestamp', count: queryCount });
+        this.resolveBuffer = this.device.createBuffer({
+            size: queryCount * 8,
+            usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+        });
+        this.readBuffer = this.device.createBuffer({
+            size: queryCount * 8,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+    }
+
+    // Start a frame of `passCount` passes.
+    beginFrame(passCount)
+    {
+        this.passNames = [];
+        this.untimedPassCount = 0;
+        const capacity = Math.min(passCount, PassProfiler.MAX_PASSES);
+        if (this.supportsTimestamps && capacity > this.passCapacity)
+            this.allocateQueries(Math.min(Math.max(capacity, 2 * this.passCapacity), PassProfiler.MAX_PASSES));
+    }
+
+    // Returns the `timestampWrites` member for the descriptor of a pass, or undefined if the pass can't be timed.
+    timestampWrites(passName)
+    {
+        if (!this.supportsTimestamps)
+            return undefined;
+        if (this.passNames.length >= this.passCapacity)
+        {
+            this.untimedPassCount++;
+            return undefined;
+        }
+
+        const index = this.passNames.length;
+        this.passNames.push(passName);
+        return {
+            querySet: this.querySet,
+            beginningOfPassWriteIndex: 2 * index,
+            endOfPassWriteIndex: 2 * index + 1,
+        };
+    }
+
+    // Resolve the timestamps of the frame, must be called after the last timed pass.
+    resolve(encoder)
+    {
+        if (this.passNames.length == 0)
+            return;
+        const queryCount = 2 * this.passNames.length;
+        encoder.resolveQuerySet(this.querySet, 0, queryCount, this.resolveBuffer, 0);
+        encoder.copyBufferToBuffer(this.resolveBuffer, 0, this.readBuffer, 0, queryCount * 8);
+    }
+
+    // Read back the resolved timestamps, once the frame's commands are done.
+    async readBack()
+    {
+        if (this.passNames.length == 0)
+            return;
+
+        await this.readBuffer.mapAsync(GPUMapMode.READ);
+        const timestamps = new BigInt64Array(this.readBuffer.getMappedRange(), 0, 2 * this.passNames.length);
+
+        // Passes run several times in a frame, like repeated CALLs, are summed up.
+        const frameDurations = new Map();
+        for (let i = 0; i < this.passNames.length; i++)
+        {
+            const durationMS = Number(timestamps[2 * i + 1] - timestamps[2 * i]) / 1e6;
+            frameDurations.set(this.passNames[i], (frameDurations.get(this.passNames[i]) ?? 0) + durationMS);
+        }
+        this.readBuffer.unmap();
+
+        for (const [name, duration] of frameDurations)
+            this.addSample(name, duration);
+    }
+
+    addSample(name, durationMS)
+    {
+        if (!this.samples.has(name))
+            this.samples.set(name, []);
+        const window = this.samples.get(name);
+        window.push(durationMS);
+        if (window.length > PassProfiler.WINDOW_SIZE)
+            window.shift();
+    }
+
+    // Returns [{name, min, avg, max}] in milliseconds, over the rolling window.
+    getStatistics()
+    {
+        const statistics = [];
+        for (const [name, window] of this.samples)
+        {
+            statistics.push({
+                name: name,
+                min: Math.min(...window),
+                avg: window.reduce((a, b) => a + b, 0) / window.length,
+                max: Math.max(...window),
+            });
+        }
+        return statistics;
+    }
+
+    reset()
+    {
+        this.samples.clear();
+    }
+}
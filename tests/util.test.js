@@ -0,0 +1,525 @@
+// Tests of the pure helpers of util.js, run with `node --test tests/`.
+// util.js is a browser script declaring globals, so it is evaluated as a script in the global scope of the test.
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'util.js'), 'utf8'), { filename: 'util.js' });
+
+// Reflection JSON of types, as emitted by Slang.
+const scalar = (scalarType) => ({ kind: "scalar", scalarType: scalarType });
+const vector = (elementCount, scalarType = "float32") => ({ kind: "vector", elementCount: elementCount, elementType: scalar(scalarType) });
+const matrix = (rowCount, columnCount) => ({ kind: "matrix", rowCount: rowCount, columnCount: columnCount, elementType: scalar("float32") });
+const struct = (...fields) => ({ kind: "struct", fields: fields.map(([name, type]) => ({ name: name, type: type })) });
+
+describe("getReflectionTypeLayout", () => {
+    test("aligns three-component vectors like four-component ones", () => {
+        assert.deepEqual(getReflectionTypeLayout(vector(3)), { size: 12, alignment: 16 });
+        assert.deepEqual(getReflectionTypeLayout(vector(2, "float16")), { size: 4, alignment: 4 });
+    });
+
+    test("lays out matrices row by row", () => {
+        assert.deepEqual(getReflectionTypeLayout(matrix(3, 4)), { size: 48, alignment: 16 });
+        assert.deepEqual(getReflectionTypeLayout(matrix(4, 3)), { size: 64, alignment: 16 });
+        assert.deepEqual(getReflectionTypeLayout(matrix(2, 2)), { size: 16, alignment: 8 });
+    });
+
+    test("rounds struct sizes up to their alignment", () => {
+        assert.deepEqual(getReflectionTypeLayout(struct(["a", vector(3)], ["b", scalar("float32")])), { size: 16, alignment: 16 });
+        assert.deepEqual(getReflectionTypeLayout(struct(["a", scalar("float32")], ["b", vector(3)])), { size: 32, alignment: 16 });
+    });
+
+    test("uses the reflected offsets of struct fields", () => {
+        const type = struct(["a", scalar("float32")], ["b", scalar("float32")]);
+        type.fields[1].binding = { kind: "uniform", offset: 16, size: 4 };
+        assert.deepEqual(getReflectionTypeLayout(type), { size: 20, alignment: 4 });
+    });
+
+    test("uses the reflected stride of arrays", () => {
+        const array = { kind: "array", elementCount: 4, elementType: scalar("float32"), uniformStride: 16 };
+        assert.deepEqual(getReflectionTypeLayout(array), { size: 64, alignment: 4 });
+    });
+
+    test("rejects unsupported types", () => {
+        assert.throws(() => getReflectionTypeLayout({ kind: "resource" }), /Unsupported type kind: resource/);
+    });
+});
+
+describe("getBufferElementStride", () => {
+    const reflection = (resultType) => ({
+        parameters: [{ name: "buf", type: { kind: "resource", baseShape: "structuredBuffer", resultType: resultType } }],
+    });
+
+    test("returns the element size rounded up to its alignment", () => {
+        assert.equal(getBufferElementStride(reflection(vector(3)), "buf"), 16);
+        assert.equal(getBufferElementStride(reflection(struct(["a", vector(2)], ["b", scalar("float32")])), "buf"), 16);
+    });
+
+    test("returns null without a known element layout", () => {
+        assert.equal(getBufferElementStride(reflection(vector(4)), "other"), null);
+        assert.equal(getBufferElementStride(reflection(struct()), "buf"), null);
+    });
+
+    test("reports the resource of an unsupported element type", () => {
+        assert.throws(() => getBufferElementStride(reflection({ kind: "pointer" }), "buf"), /Cannot infer the element size of buf/);
+    });
+});
+
+describe("getStorageTextureFormat", () => {
+    const texture = (resultType, access, format) => ({
+        name: "tex", format: format, type: { kind: "resource", baseShape: "texture2D", access: access, resultType: resultType },
+    });
+
+    test("maps the declared format", () => {
+        assert.equal(getStorageTextureFormat(texture(vector(4), "write", "rgba16f")), "rgba16float");
+        assert.equal(getStorageTextureFormat(texture(scalar("uint32"), "readWrite", "r32ui")), "r32uint");
+    });
+
+    test("infers the format from the element type", () => {
+        assert.equal(getStorageTextureFormat(texture(vector(4), "write")), "rgba32float");
+        assert.equal(getStorageTextureFormat(texture(vector(2, "int32"), "read")), "rg32sint");
+        assert.equal(getStorageTextureFormat(texture(scalar("float32"), "readWrite")), "r32float");
+    });
+
+    test("only allows read-write access to single channel 32-bit formats", () => {
+        assert.throws(() => getStorageTextureFormat(texture(vector(4), "readWrite")), /tex is a read-write texture with format 'rgba32float'/);
+        assert.throws(() => getStorageTextureFormat(texture(vector(4), "readWrite", "rgba8")), /'rgba8unorm'/);
+    });
+
+    test("rejects formats that can't be storage textures", () => {
+        assert.throws(() => getStorageTextureFormat(texture(vector(4), "write", "rgb10_a2")), /'rgb10_a2' of tex can't be used/);
+        assert.throws(() => getStorageTextureFormat(texture(scalar("float32"), "write", "r8")), /'r8' of tex/);
+    });
+});
+
+describe("getTextureShape", () => {
+    test("creates cube textures as 2D arrays of 6 layers per cube", () => {
+        assert.deepEqual(getTextureShape("cube", [64, 64]), { dimension: "2d", size: [64, 64, 6] });
+        assert.deepEqual(getTextureShape("cube-array", [64, 64, 2]), { dimension: "2d", size: [64, 64, 12] });
+        assert.deepEqual(getTextureShape("3d", [8, 8, 8]), { dimension: "3d", size: [8, 8, 8] });
+    });
+
+    test("checks the number of sizes", () => {
+        assert.throws(() => getTextureShape("2d", [64]), /Invalid parameter count 1 for a '2d' texture, should be 2/);
+    });
+});
+
+describe("parseSamplerArgs", () => {
+    test("defaults to linear filtering and clamping", () => {
+        assert.deepEqual(parseSamplerArgs([""]), defaultSamplerDescriptor);
+    });
+
+    test("sets the filters and the address modes of all axes", () => {
+        const descriptor = parseSamplerArgs(["nearest", "mirror"]);
+        assert.equal(descriptor.magFilter, "nearest");
+        assert.equal(descriptor.minFilter, "nearest");
+        assert.equal(descriptor.mipmapFilter, "nearest");
+        assert.equal(descriptor.addressModeU, "mirror-repeat");
+        assert.equal(descriptor.addressModeW, "mirror-repeat");
+        assert.equal(parseSamplerArgs(["repeat"]).addressModeV, "repeat");
+    });
+
+    test("rejects unknown arguments", () => {
+        assert.throws(() => parseSamplerArgs(["bilinear"]), /Invalid SAMPLER argument 'bilinear'/);
+    });
+
+    test("is used by the SAMPLER directive", () => {
+        const [command] = parseResourceCommands("//! @mySampler: SAMPLER(nearest, repeat)");
+        assert.equal(command.resourceName, "mySampler");
+        assert.equal(command.parsedCommand.type, "SAMPLER");
+        assert.equal(command.parsedCommand.descriptor.addressModeU, "repeat");
+    });
+});
+
+describe("parseCallCommands", () => {
+    test("parses indirect dispatches", () => {
+        const [call] = parseCallCommands("//! CALL(splatMain, INDIRECT(dispatchArgs, 16))");
+        assert.equal(call.type, "INDIRECT");
+        assert.equal(call.resourceName, "dispatchArgs");
+        assert.equal(call.offset, 16);
+        assert.equal(parseCallCommands("//! CALL(splatMain, INDIRECT(dispatchArgs))")[0].offset, 0);
+    });
+
+    test("rejects invalid indirect arguments", () => {
+        assert.throws(() => parseCallCommands("//! CALL(splatMain, INDIRECT(dispatchArgs, 2))"), /must be a multiple of 4/);
+        assert.throws(() => parseCallCommands("//! CALL(splatMain, INDIRECT(dispatchArgs), 4)"), /Invalid INDIRECT arguments/);
+    });
+});
+
+describe("splitTopLevelArgs", () => {
+    test("only splits on top-level commas", () => {
+        assert.deepEqual(splitTopLevelArgs("INDIRECT(args, 4), ONCE"), ["INDIRECT(args, 4)", "ONCE"]);
+        assert.deepEqual(splitTopLevelArgs(" 512 ,512"), ["512", "512"]);
+    });
+});
+
+describe("parseCallSchedule", () => {
+    test("defaults to one dispatch per frame", () => {
+        assert.deepEqual(parseCallSchedule("f", []), { once: false, every: 1, repeat: 1 });
+    });
+
+    test("parses the modifiers", () => {
+        assert.deepEqual(parseCallSchedule("f", ["ONCE"]), { once: true, every: 1, repeat: 1 });
+        assert.deepEqual(parseCallSchedule("f", ["EVERY(4)", "REPEAT( 3 )"]), { once: false, every: 4, repeat: 3 });
+    });
+
+    test("rejects invalid modifiers", () => {
+        assert.throws(() => parseCallSchedule("f", ["EVERY"]), /EVERY for f needs a positive count/);
+        assert.throws(() => parseCallSchedule("f", ["REPEAT(0)"]), /REPEAT for f needs a positive count/);
+        assert.throws(() => parseCallSchedule("f", ["TWICE"]), /Invalid modifier 'TWICE' for f/);
+    });
+});
+
+describe("parseCallCommands with modifiers", () => {
+    test("separates the size from the modifiers", () => {
+        const calls = parseCallCommands([
+            "//! CALL(stepMain, 512, 512, REPEAT(8))",
+            "//! CALL(initMain, SIZE_OF(particles), ONCE)",
+            "//! CALL(argsMain, INDIRECT(args, 0), EVERY(2))",
+        ].join("\n"));
+        assert.deepEqual(calls[0], { type: "FIXED_SIZE", fnName: "stepMain", size: [512, 512], schedule: { once: false, every: 1, repeat: 8 } });
+        assert.equal(calls[1].resourceName, "particles");
+        assert.equal(calls[1].schedule.once, true);
+        assert.equal(calls[2].schedule.every, 2);
+    });
+
+    test("rejects invalid sizes", () => {
+        assert.throws(() => parseCallCommands("//! CALL(f, 1, 2, 3, 4)"), /Invalid size \(1, 2, 3, 4\) for f/);
+        assert.throws(() => parseCallCommands("//! CALL(f, 0, ONCE)"), /Invalid size/);
+    });
+});
+
+describe("parseResourceCommand screen-size textures", () => {
+    test("parses SCREEN_SIZE, PING_PONG and PREVIOUS_FRAME", () => {
+        assert.deepEqual(parseResourceCommand("SCREEN_SIZE()"), { type: "SCREEN_SIZE" });
+        assert.deepEqual(parseResourceCommand("PING_PONG(statePrev)"), { type: "PING_PONG", previousName: "statePrev" });
+        assert.deepEqual(parseResourceCommand("PREVIOUS_FRAME()"), { type: "PREVIOUS_FRAME" });
+    });
+
+    test("needs the name of the previous-frame texture of PING_PONG", () => {
+        assert.throws(() => parseResourceCommand("PING_PONG()"), /Invalid PING_PONG argument ''/);
+        assert.throws(() => parseResourceCommand("PING_PONG(state.prev)"), /Invalid PING_PONG argument 'state.prev'/);
+    });
+});
+
+describe("decodeTexels", () => {
+    test("decodes normalized formats and swizzles bgra", () => {
+        const data = new Uint8Array([255, 0, 51, 255, 0, 0, 0, 0]).buffer;
+        assert.deepEqual(Array.from(decodeTexels(data, "rgba8unorm", 1, 1, 8)), [1, 0, 0.2, 1]);
+        assert.deepEqual(Array.from(decodeTexels(data, "bgra8unorm", 1, 1, 8)), [0.2, 0, 1, 1]);
+    });
+
+    test("fills missing channels and skips the row padding", () => {
+        const data = new Float32Array([1.5, -2, 0, 0, 3, 4]).buffer;
+        const texels = decodeTexels(data, "rg32float", 1, 2, 16);
+        assert.deepEqual(Array.from(texels), [1.5, -2, 0, 1, 3, 4, 0, 1]);
+    });
+
+    test("decodes half floats and signed integers", () => {
+        const data = new Uint16Array([0x3c00, 0xc000]).buffer;
+        assert.deepEqual(Array.from(decodeTexels(data, "rg16float", 1, 1, 4)).slice(0, 2), [1, -2]);
+        assert.equal(decodeTexels(new Int32Array([-7]).buffer, "r32sint", 1, 1, 4)[0], -7);
+    });
+
+    test("rejects packed formats", () => {
+        assert.throws(() => decodeTexels(new ArrayBuffer(4), "rgb10a2unorm", 1, 1, 4), /'rgb10a2unorm' can't be decoded/);
+    });
+});
+
+// Builds the words of a printf buffer from [type, low, high] elements.
+function printfBuffer(...elements) {
+    return new Uint32Array(elements.flat()).buffer;
+}
+
+function floatBits(value) {
+    return new Uint32Array(new Float32Array([value]).buffer)[0];
+}
+
+// Formats the messages of a printf buffer built from [type, low, high] elements.
+function printTexts(strings, ...elements) {
+    return parsePrintfBuffer(strings, printfBuffer(...elements), 12).map(message => message.text);
+}
+
+describe("parsePrintfBuffer", () => {
+    const strings = [{ hash: 1, string: "v=%d m=%f" }, { hash: 2, string: "x=%d b=%d" }, { hash: 3, string: "done" }];
+    const end = [0xFFFFFFFF, 0, 0];
+
+    test("formats vectors and matrices", () => {
+        const texts = printTexts(strings,
+            [1, 1, 5], [10, 2, 0], [3, 7, 0], [6, 0xFFFFFFFF, 0],
+            [11, 2, 2], [4, floatBits(1), 0], [4, floatBits(2), 0], [4, floatBits(3), 0], [4, floatBits(4), 0], end);
+        assert.deepEqual(texts, ["v=(7, -1) m=[(1.000000, 2.000000), (3.000000, 4.000000)]"]);
+    });
+
+    test("formats 64-bit integers and bools", () => {
+        assert.deepEqual(printTexts(strings, [1, 2, 0], [7, 0xFFFFFFFE, 0xFFFFFFFF], [9, 1, 0], end), ["x=-2 b=1"]);
+    });
+
+    test("stops at the first element that doesn't start a message", () => {
+        assert.equal(printTexts(strings, [1, 3, 0], end, [3, 1, 0], [1, 3, 0], end).length, 1);
+    });
+});
+
+describe("formatSpecifier", () => {
+    const format = (value, specifierType) => formatSpecifier(value, { flags: "", width: null, precision: null, specifierType: specifierType });
+
+    test("formats negative integers as their two's complement in unsigned conversions", () => {
+        assert.equal(format(-1, "x"), "ffffffff");
+        assert.equal(format(-1, "X"), "FFFFFFFF");
+        assert.equal(format(-1, "u"), "4294967295");
+        assert.equal(format(-8, "o"), "37777777770");
+        assert.equal(format(-1, "d"), "-1");
+    });
+
+    test("formats 64-bit integers on 64 bits", () => {
+        assert.equal(format(-2n, "x"), "fffffffffffffffe");
+        assert.equal(format(-2n, "u"), "18446744073709551614");
+        assert.equal(format(0xFFFFFFFFFFn, "x"), "ffffffffff");
+    });
+});
+
+describe("parseDispatchCommand", () => {
+    test("defaults to a single thread and pads the grid to 3 dimensions", () => {
+        assert.deepEqual(parseDispatchCommand("void printMain() {}"), [1, 1, 1]);
+        assert.deepEqual(parseDispatchCommand("//! DISPATCH(4, 2)"), [4, 2, 1]);
+        assert.deepEqual(parseDispatchCommand("//! DISPATCH( 2, 3, 4 )"), [2, 3, 4]);
+    });
+
+    test("rejects invalid sizes", () => {
+        assert.throws(() => parseDispatchCommand("//! DISPATCH(0)"), /Invalid size \(0\) in DISPATCH/);
+        assert.throws(() => parseDispatchCommand("//! DISPATCH(1, 2, 3, 4)"), /expected 1 to 3 positive integers/);
+    });
+});
+
+describe("getPrintDispatchLayout", () => {
+    test("fills workgroups along x first", () => {
+        const layout = getPrintDispatchLayout([1000, 1, 1]);
+        assert.deepEqual(layout.workgroupSize, [256, 1, 1]);
+        assert.equal(layout.threadCount, 1000);
+        assert.deepEqual(getPrintDispatchLayout([8, 8, 8]).workgroupSize, [8, 8, 4]);
+    });
+
+    test("keeps z within the workgroup size limit", () => {
+        assert.deepEqual(getPrintDispatchLayout([1, 1, 100]).workgroupSize, [1, 1, 64]);
+    });
+});
+
+describe("parsePrintBufferCommand", () => {
+    test("defaults to the shared buffer size", () => {
+        assert.equal(parsePrintBufferCommand(""), defaultPrintfBufferElementCount);
+        assert.equal(parsePrintBufferCommand("//! PRINT_BUFFER(65536)"), 65536);
+    });
+
+    test("rejects invalid sizes", () => {
+        assert.throws(() => parsePrintBufferCommand("//! PRINT_BUFFER(-1)"), /Invalid size \(-1\) in PRINT_BUFFER/);
+    });
+});
+
+describe("parsePrintfBuffer assertions", () => {
+    const strings = [{ hash: 1, string: "done" }, { hash: 2, string: "out of range" }];
+
+    test("reads failed assertions with their line and thread", () => {
+        const messages = parsePrintfBuffer(strings, printfBuffer([12, 42, 9], [2, 2, 0], [1, 1, 3], [0xFFFFFFFF, 0, 0], [0, 0, 0]), 12);
+        assert.deepEqual(messages, [
+            { threadIndex: 9, assertion: { line: 42, message: "out of range" } },
+            { threadIndex: 3, text: "done" },
+        ]);
+    });
+
+    test("stops after an assertion that isn't followed by a message", () => {
+        const messages = parsePrintfBuffer(strings, printfBuffer([12, 7, 0], [2, 2, 0], [0, 0, 0], [12, 8, 0], [2, 2, 0]), 12);
+        assert.equal(messages.length, 1);
+    });
+});
+
+describe("findAssertionLocations", () => {
+    test("maps lines to the first ASSERT call", () => {
+        const locations = findAssertionLocations("void f()\n{\n    ASSERT(x > 0, \"x\"); ASSERT(y > 0);\n    MY_ASSERT(z);\n    assert(w);\n}");
+        assert.deepEqual([...locations], [[3, { column: 5, endColumn: 39 }]]);
+    });
+});
+
+describe("getUniformFieldLayout", () => {
+    test("aligns vectors to their size", () => {
+        const layout = getUniformFieldLayout([
+            { name: "time", type: "float" },
+            { name: "pixel", type: "int2" },
+            { name: "color", type: "float3" },
+            { name: "frame", type: "uint" },
+        ]);
+        assert.deepEqual([...layout.offsets].map(([name, field]) => [name, field.offset]),
+            [["time", 0], ["pixel", 8], ["color", 16], ["frame", 28]]);
+        assert.equal(layout.size, 32);
+    });
+
+    test("rejects unsupported types", () => {
+        assert.throws(() => getUniformFieldLayout([{ name: "m", type: "float4x4" }]), /Unsupported uniform type 'float4x4' for m/);
+    });
+});
+
+describe("writeUniformFields", () => {
+    test("writes scalars and vectors with their types", () => {
+        const layout = getUniformFieldLayout([{ name: "time", type: "float" }, { name: "pixel", type: "int2" }]);
+        const dataView = new DataView(writeUniformFields(layout, { time: 1.5, pixel: [-1, 3] }));
+        assert.equal(dataView.byteLength, 16);
+        assert.equal(dataView.getFloat32(0, true), 1.5);
+        assert.equal(dataView.getInt32(8, true), -1);
+        assert.equal(dataView.getInt32(12, true), 3);
+    });
+});
+
+describe("parseResourceCommand parameter annotations", () => {
+    test("parses SLIDER with an optional default value", () => {
+        assert.deepEqual(parseResourceCommand("SLIDER(0, 4, 1)"), { type: "SLIDER", min: 0, max: 4, value: 1 });
+        assert.deepEqual(parseResourceCommand("SLIDER(-1, 1)"), { type: "SLIDER", min: -1, max: 1, value: -1 });
+        assert.ok(isParameterAnnotation(parseResourceCommand("SLIDER(0, 1)")));
+    });
+
+    test("rejects empty slider ranges", () => {
+        assert.throws(() => parseResourceCommand("SLIDER(4, 0)"), /Invalid SLIDER\(4, 0\)/);
+        assert.throws(() => parseResourceCommand("SLIDER(1)"), /Invalid SLIDER\(1\)/);
+    });
+
+    test("parses COLOR with up to 4 components", () => {
+        assert.deepEqual(parseResourceCommand("COLOR(1, 0.5, 0)"), { type: "COLOR", value: [1, 0.5, 0] });
+        assert.deepEqual(parseResourceCommand("COLOR()"), { type: "COLOR", value: [] });
+        assert.throws(() => parseResourceCommand("COLOR(1, 2, 3, 4, 5)"), /Invalid COLOR/);
+        assert.throws(() => parseResourceCommand("COLOR(red)"), /Invalid COLOR\(red\)/);
+    });
+});
+
+describe("parseResourceCommands", () => {
+    test("rejects unknown commands", () => {
+        assert.throws(() => parseResourceCommands("//! @buf: ZERO(10)"), /Unknown command: ZERO/);
+    });
+
+    test("ignores directives without a resource name", () => {
+        assert.deepEqual(parseResourceCommands("//! CALL(f, 16)\n//! DISPATCH(4)\n//! @buf: ZEROS(4)"),
+            [{ resourceName: "buf", parsedCommand: { type: "ZEROS", size: [4] } }]);
+    });
+});
+
+describe("getDefaultUniformBufferSize", () => {
+    test("covers the uniform parameters, rounded up to 16 bytes", () => {
+        const reflection = {
+            parameters: [
+                { name: "exposure", binding: { kind: "uniform", offset: 0, size: 4 } },
+                { name: "tint", binding: { kind: "uniform", offset: 16, size: 12 } },
+                { name: "outputTexture", binding: { kind: "descriptorTableSlot", index: 0 } },
+            ],
+        };
+        assert.equal(getDefaultUniformBufferSize(reflection), 32);
+    });
+
+    test("is empty without uniform parameters", () => {
+        assert.equal(getDefaultUniformBufferSize({ parameters: [] }), 0);
+        assert.equal(getDefaultUniformBufferSize(undefined), 0);
+    });
+});
+
+describe("uniform array fields", () => {
+    const fields = [{ name: "time", type: "float" }, { name: "touches", type: "float2", count: 2 }];
+
+    test("aligns arrays to 16 bytes with a 16 byte stride", () => {
+        const layout = getUniformFieldLayout(fields);
+        assert.equal(layout.offsets.get("touches").offset, 16);
+        assert.equal(layout.size, 48);
+    });
+
+    test("writes missing elements as zeros", () => {
+        const dataView = new DataView(writeUniformFields(getUniformFieldLayout(fields), { time: 1, touches: [[4, 5]] }));
+        assert.equal(dataView.getFloat32(16, true), 4);
+        assert.equal(dataView.getFloat32(20, true), 5);
+        assert.equal(dataView.getFloat32(32, true), 0);
+    });
+});
+
+describe("createSeededRandom", () => {
+    test("repeats the same sequence for the same seed", () => {
+        const first = createSeededRandom(1);
+        const second = createSeededRandom(1);
+        const values = Array.from({ length: 100 }, first);
+        assert.deepEqual(Array.from({ length: 100 }, second), values);
+        assert.ok(values.every(x => x >= 0 && x < 1));
+        assert.notDeepEqual(Array.from({ length: 100 }, createSeededRandom(2)), values);
+    });
+});
+
+describe("parseRenderResolution", () => {
+    test("parses the canvas size, scales and fixed sizes", () => {
+        assert.deepEqual(parseRenderResolution(""), { scale: 1 });
+        assert.deepEqual(parseRenderResolution(" Canvas "), { scale: 1 });
+        assert.deepEqual(parseRenderResolution("0.5x"), { scale: 0.5 });
+        assert.deepEqual(parseRenderResolution(".25 x"), { scale: 0.25 });
+        assert.deepEqual(parseRenderResolution("1920x1080"), { width: 1920, height: 1080 });
+        assert.deepEqual(parseRenderResolution("640 × 480"), { width: 640, height: 480 });
+    });
+
+    test("rejects empty and malformed sizes", () => {
+        assert.throws(() => parseRenderResolution("0x"), /Invalid render resolution '0x'/);
+        assert.throws(() => parseRenderResolution("0x480"), /Invalid render resolution/);
+        assert.throws(() => parseRenderResolution("2x3x4"), /Invalid render resolution/);
+    });
+});
+
+describe("getRenderSize", () => {
+    test("scales the canvas size and clamps to the supported range", () => {
+        assert.deepEqual(getRenderSize([801, 600], { scale: 0.5 }, 8192), [401, 300]);
+        assert.deepEqual(getRenderSize([800, 600], { scale: 0.001 }, 8192), [2, 2]);
+        assert.deepEqual(getRenderSize([800, 600], { width: 16384, height: 512 }, 8192), [8192, 512]);
+    });
+});
+
+describe("getBlitRect", () => {
+    test("fits and fills the canvas, centered", () => {
+        assert.deepEqual(getBlitRect([800, 600], [400, 400], "fit"), { left: 100, top: 0, width: 600, height: 600, scale: 1.5 });
+        assert.deepEqual(getBlitRect([800, 600], [400, 400], "fill"), { left: 0, top: -100, width: 800, height: 800, scale: 2 });
+    });
+
+    test("scales by whole factors at whole pixels in pixel mode", () => {
+        assert.deepEqual(getBlitRect([801, 600], [256, 256], "pixel"), { left: 144, top: 44, width: 512, height: 512, scale: 2 });
+        assert.equal(getBlitRect([100, 100], [200, 200], "pixel").scale, 0.5);
+    });
+});
+
+describe("getDebugPixel", () => {
+    test("flips the rows of the shown image", () => {
+        assert.deepEqual(getDebugPixel(3.7, 0.2, [64, 32]), { x: 3, y: 31 });
+        assert.deepEqual(getDebugPixel(63.9, 31.5, [64, 32]), { x: 63, y: 0 });
+    });
+
+    test("ignores positions outside of the image", () => {
+        assert.equal(getDebugPixel(-0.5, 4, [64, 32]), null);
+        assert.equal(getDebugPixel(64, 4, [64, 32]), null);
+        assert.equal(getDebugPixel(4, 32, [64, 32]), null);
+    });
+});
+
+describe("parseOutputFormatCommand", () => {
+    test("defaults to rgba8unorm", () => {
+        assert.equal(parseOutputFormatCommand("float4 imageMain() {}"), "rgba8unorm");
+        assert.equal(parseOutputFormatCommand("//! OUTPUT_FORMAT( rgba16float )"), "rgba16float");
+    });
+
+    test("rejects other formats", () => {
+        assert.throws(() => parseOutputFormatCommand("//! OUTPUT_FORMAT(rgba16f)"), /Invalid format \(rgba16f\) in OUTPUT_FORMAT, expected one of rgba8unorm, rgba16float, rgba32float/);
+    });
+});
+
+describe("parseWorkgroupSizeCommand", () => {
+    test("defaults to 16x16", () => {
+        assert.deepEqual(parseWorkgroupSizeCommand(""), [16, 16]);
+        assert.deepEqual(parseWorkgroupSizeCommand("//! WORKGROUP_SIZE(32, 8)"), [32, 8]);
+    });
+
+    test("rejects invalid sizes", () => {
+        assert.throws(() => parseWorkgroupSizeCommand("//! WORKGROUP_SIZE(8)"), /expected 2 positive integers/);
+        assert.throws(() => parseWorkgroupSizeCommand("//! WORKGROUP_SIZE(8, 0)"), /expected 2 positive integers/);
+        assert.throws(() => parseWorkgroupSizeCommand("//! WORKGROUP_SIZE(32, 16)"), /at most 256 threads/);
+    });
+});
@@ -13,9 +13,12 @@ var diagnosticsArea;
 var codeGenArea;
 
 var resourceBindings;
+var resourceReflection;
 var resourceCommands;
 var callCommands;
+var indirectArgsBuffer = null;  // Copy of the arguments of the current 'CALL(fn, INDIRECT(...))' dispatch.
 var allocatedResources;
+var resourceDeclarationKeys = new Map();
 var hashedStrings;
 
 var renderThread = null;
@@ -24,11 +27,37 @@ var abortRender = false;
 var onRenderAborted = null;
 
 var printfBufferElementSize = 12;
-var printfBufferSize = this.printfBufferElementSize * 2048; // 12 bytes per printf struct
+var printfBufferElementCount = defaultPrintfBufferElementCount;
+var printfBufferSize = this.printfBufferElementSize * printfBufferElementCount; // 12 bytes per printf struct
+var printDispatch = getPrintDispatchLayout([1, 1, 1]);
+var printOutputByThread = [];   // [{threadID, text}] from the last print run.
+var printDroppedMessageCount = 0;
+var printRequestedElementCount = 0;
+const uniformInputLayout = getUniformFieldLayout(uniformInputFields);
+var debugPixelCapture = null;   // {x, y} of the pixel to capture in the next frame.
+
+// Failed assertions are collected in the print buffer, in render mode they are read back every few frames.
+const assertionCheckInterval = 30;
+var shaderUsesAssert = false;
+var assertionLocations = new Map();
+var assertionBaseDiagnostics = "";  // Diagnostics of the compilation, shown before the assertion failures.
+var lastAssertionReport = "";
 
 var sourceCodeChange = true;
 
+// Size of the rendered image, which is the size of the canvas scaled or replaced by the render resolution setting.
 var currentWindowSize = [300, 150];
+var renderResolution = { scale: 1 };
+var renderScalingMode = "fit";  // How the rendered image is shown on the canvas, see getBlitRect().
+
+// Format of the output texture of imageMain, set with '//! OUTPUT_FORMAT(...)'.
+var outputTextureFormat = "rgba8unorm";
+// How the output texture is shown, see the DisplayParams of the pass-through shader.
+var displaySettings = {
+    toneMapping: 0,
+    exposure: 0,
+    hdr: false,  // The canvas is configured for extended range output.
+};
 
 const RENDER_MODE = SlangCompiler.RENDER_SHADER;
 const PRINT_MODE = SlangCompiler.PRINT_SHADER;
@@ -48,6 +77,12 @@ async function webgpuInit() {
             return;
         }
         const requiredFeatures = [];
+        // Used to time each pass, see PassProfiler.
+        if (adapter.features.has('timestamp-query'))
+            requiredFeatures.push('timestamp-query');
+        // Used to show 'rgba32float' output textures with linear filtering.
+        if (adapter.features.has('float32-filterable'))
+            requiredFeatures.push('float32-filterable');
 
         device = await adapter?.requestDevice({ requiredFeatures });
         if (!device) {
@@ -71,24 +106,97 @@ function resizeCanvas(entries) {
 
     const canvas = entries[0].target;
 
-    const width = canvas.clientWidth;
-    const height = canvas.clientHeight;
+    var width = canvas.clientWidth;
+    var height = canvas.clientHeight;
     if (canvas.style.display == "none") {
         var parentDiv = document.getElementById("output");
         width = parentDiv.clientWidth;
         height = parentDiv.clientHeight;
     }
 
-    if (width != currentWindowSize[0] || height != currentWindowSize[1]) {
-        // ensure the size won't be 0 nor exceed the limit, otherwise WebGPU will throw an errors
-        canvas.width = Math.max(2, Math.min(width, device.limits.maxTextureDimension2D));
-        canvas.height = Math.max(2, Math.min(height, device.limits.maxTextureDimension2D));
+    // ensure the size won't be 0 nor exceed the limit, otherwise WebGPU will throw an errors
+    width = Math.max(2, Math.min(width, device.limits.maxTextureDimension2D));
+    height = Math.max(2, Math.min(height, device.limits.maxTextureDimension2D));
+    if (width != canvas.width || height != canvas.height) {
+        canvas.width = width;
+        canvas.height = height;
+        // Resizing clears the canvas, draw it again even when paused.
+        playback.renderRequested = true;
+    }
 
-        currentWindowSize = [canvas.width, canvas.height];
-        return true;
+    return updateRenderSize();
+}
+
+// Compute the size of the rendered image from the canvas size and the render resolution. Returns true if it
+// changed, in which case the resources depending on it must be recreated.
+function updateRenderSize() {
+    const size = getRenderSize([canvas.width, canvas.height], renderResolution, device.limits.maxTextureDimension2D);
+    if (size[0] == currentWindowSize[0] && size[1] == currentWindowSize[1])
+        return false;
+    currentWindowSize = size;
+    return true;
+}
+
+function onRenderResolutionChange(text) {
+    try {
+        renderResolution = parseRenderResolution(text);
     }
+    catch (error) {
+        diagnosticsArea.setValue(error.message);
+        return;
+    }
+    if (device && updateRenderSize() && computePipeline && passThroughPipeline && currentMode == RENDER_MODE)
+        startRendering();
+}
+
+function onRenderScalingChange(mode) {
+    renderScalingMode = mode;
+    playback.renderRequested = true;
+}
+
+function onToneMappingChange() {
+    displaySettings.toneMapping = Number(document.getElementById("toneMapping").value);
+    displaySettings.exposure = Number(document.getElementById("exposure").value);
+    document.getElementById("exposureValue").textContent = (displaySettings.exposure >= 0 ? "+" : "") + displaySettings.exposure.toFixed(1) + " EV";
+    playback.renderRequested = true;
+}
+
+function getCanvasFormat() {
+    return displaySettings.hdr ? 'rgba16float' : navigator.gpu.getPreferredCanvasFormat();
+}
 
-    return false;
+// Returns why the canvas, configured for extended range output, can't show HDR, or null if it can. Browsers that
+// don't know the tone mapping option ignore it, so the configuration is read back when the browser reports it.
+function getHDRUnsupportedReason() {
+    const mode = context.getConfiguration?.()?.toneMapping?.mode;
+    if (mode == 'extended')
+        return null;
+    if (mode !== undefined)
+        return "getConfiguration() reports the '" + mode + "' tone mapping instead of 'extended'";
+    const configurationCheck = context.getConfiguration ?
+        "getConfiguration() doesn't report the tone mapping" : "context.getConfiguration() is not available";
+
+    // The configuration can't be checked, rely on the display.
+    if (!window.matchMedia('(dynamic-range: high)').matches)
+        return configurationCheck + ", and the display doesn't match '(dynamic-range: high)'";
+    return null;
+}
+
+// Configure the canvas for extended range output, falling back to standard range when the browser doesn't
+// support HDR canvases.
+function onHDRDisplayChange(checkbox) {
+    if (!device)
+        return;
+    context = configContext(device, canvas, checkbox.checked);
+    const unsupportedReason = checkbox.checked ? getHDRUnsupportedReason() : null;
+    displaySettings.hdr = checkbox.checked && !unsupportedReason;
+    if (unsupportedReason) {
+        context = configContext(device, canvas, false);
+        checkbox.checked = false;
+        diagnosticsArea.setValue("HDR output on the canvas is not available: " + unsupportedReason + ".");
+    }
+    passThroughPipeline?.setTargetFormat(getCanvasFormat());
+    playback.renderRequested = true;
 }
 
 function abortRendererIfActive()
@@ -171,7 +279,8 @@ function withRenderLock(setupFn, renderFn)
     }
 }
 
-function startRendering() {
+// If `resetResources` is set, all resources are recreated, otherwise the ones whose declaration didn't change are kept.
+function startRendering(resetResources = false) {
     // This is a lighter-weight setup function that doesn't need to re-compile the shader code.
     const setupRenderer = async () => {
         if (!computePipeline || !passThroughPipeline)
@@ -180,7 +289,13 @@ function startRendering() {
         if (!currentWindowSize || currentWindowSize[0] < 2 || currentWindowSize[1] < 2)
             throw new Error("window not ready");
         
-        const allocatedResources = await processResourceCommands(computePipeline, resourceBindings, resourceCommands);
+        if (resetResources && globalThis.allocatedResources) {
+            freeAllocatedResources(globalThis.allocatedResources);
+            globalThis.allocatedResources = null;
+        }
+
+        const previousResources = globalThis.allocatedResources;
+        const allocatedResources = await processResourceCommands(computePipeline, resourceBindings, resourceReflection, resourceCommands, previousResources);
 
         globalThis.allocatedResources = allocatedResources;
         computePipeline.createBindGroup(allocatedResources);
@@ -190,11 +305,20 @@ function startRendering() {
 
         for (const pipeline of extraComputePipelines)
             pipeline.createBindGroup(allocatedResources);
+
+        resetFrameCountersIfRecreated(previousResources, allocatedResources);
+        playback.renderRequested = true;
     };
     
     withRenderLock(setupRenderer, execFrame);
 }
 
+var onResetResources = () => {
+    if (!computePipeline || !resourceCommands || currentMode != RENDER_MODE)
+        return;
+    startRendering(true);
+}
+
 // We use the timer in the resize handler debounce the resize event, otherwise we could end of rendering
 // multiple useless frames.
 function resizeCanvasHandler(entries) {
@@ -211,8 +335,7 @@ function toggleDisplayMode(displayMode) {
         document.getElementById("resultSplitContainer").style.gridTemplateRows = "50% 14px 1fr";
     }
     if (displayMode == RENDER_MODE) {
-        var printResult = document.getElementById("printResult")
-        printResult.style.display = "none";
+        document.getElementById("printContainer").style.display = "none";
         renderOutput.style.display = "block";
         canvas.style.width = "100%";
         canvas.style.height = "100%";
@@ -220,14 +343,13 @@ function toggleDisplayMode(displayMode) {
     }
     else if (displayMode == PRINT_MODE) {
         renderOutput.style.display = "none";
-        var printResult = document.getElementById("printResult")
-        printResult.style.display = "grid";
+        document.getElementById("printContainer").style.display = "flex";
 
         currentMode = PRINT_MODE;
     }
     else if (displayMode == HIDDEN_MODE) {
         renderOutput.style.display = "none";
-        document.getElementById("printResult").style.display = "none";
+        document.getElementById("printContainer").style.display = "none";
         document.getElementById("resultSplitContainer").style.gridTemplateRows = "0px 14px 1fr";
         currentMode = HIDDEN_MODE;
     }
@@ -238,6 +360,349 @@ function toggleDisplayMode(displayMode) {
 
 var timeAggregate = 0;
 var frameCount = 0;
+var averageFrameTimeText = "";
+
+// Number of frames and CALL iterations executed since the resources were last set up.
+var renderFrameIndex = 0;
+var renderIterationCount = 0;
+
+// Returns the number of threads (in x, y and z) to launch for a '//! CALL' command.
+function getCallThreadCount(command) {
+    if (command.type == "FIXED_SIZE") {
+        return [command.size[0], command.size[1] ?? 1, command.size[2] ?? 1];
+    }
+
+    // Determine the thread count based on the size of the buffer or texture.
+    if (!globalThis.allocatedResources.has(command.resourceName))
+        throw new Error("Resource not found: " + command.resourceName);
+
+    var resource = globalThis.allocatedResources.get(command.resourceName);
+    if (resource instanceof GPUBuffer) {
+        const elementSize = getBufferElementStride(resourceReflection, command.resourceName) ?? 4;
+        return [resource.size / elementSize, 1, 1];
+    }
+    else if (resource instanceof GPUTexture) {
+        const depth = resource.dimension == "3d" ? resource.depthOrArrayLayers : 1;
+        return [resource.width, resource.height, depth];
+    }
+
+    throw new Error("Resource type not supported for dispatch: " + resource);
+}
+
+// Returns the number of work-groups to dispatch for the thread count (in x, y and z), divided by the
+// thread-group size reflected for the kernel of the pipeline.
+function getWorkGroupCount(pipeline, threadCount) {
+    const blockSize = [pipeline.threadGroupSize.x, pipeline.threadGroupSize.y, pipeline.threadGroupSize.z];
+    return threadCount.map((count, i) => Math.floor((count + blockSize[i] - 1) / blockSize[i]));
+}
+
+// Encode the compute pass of a single '//! CALL' command. Returns false if the dispatch is invalid.
+function encodeCallPass(encoder, pipeline, command, timestampWrites) {
+    if (command.type == "INDIRECT") {
+        const argsBuffer = globalThis.allocatedResources.get(command.resourceName);
+        if (!(argsBuffer instanceof GPUBuffer)) {
+            diagnosticsArea.setValue("Error when dispatching " + command.fnName + ". Buffer not found: " + command.resourceName);
+            return false;
+        }
+        if (command.offset + 12 > argsBuffer.size) {
+            diagnosticsArea.setValue("Error when dispatching " + command.fnName + ". The dispatch arguments at offset " +
+                command.offset + " don't fit in " + command.resourceName + " (" + argsBuffer.size + " bytes).");
+            return false;
+        }
+        if (!(argsBuffer.usage & GPUBufferUsage.COPY_SRC)) {
+            diagnosticsArea.setValue("Error when dispatching " + command.fnName + ". The dispatch arguments can't be read from " +
+                command.resourceName + ", declare it with ZEROS or RAND.");
+            return false;
+        }
+
+        // The kernels write the arguments through a storage binding, which can't be used as the indirect buffer
+        // of a dispatch that binds it too. Copy them to a buffer that is only used for indirect dispatches, the
+        // copy is ordered after the passes encoded before it.
+        if (!indirectArgsBuffer)
+            indirectArgsBuffer = device.createBuffer({ size: 12, usage: GPUBufferUsage.INDIRECT | GPUBufferUsage.COPY_DST });
+        encoder.copyBufferToBuffer(argsBuffer, command.offset, indirectArgsBuffer, 0, 12);
+
+        const pass = encoder.beginComputePass({ label: 'extra passes', timestampWrites: timestampWrites });
+        pass.setBindGroup(0, pipeline.bindGroup);
+        pass.setPipeline(pipeline.pipeline);
+        pass.dispatchWorkgroupsIndirect(indirectArgsBuffer, 0);
+        pass.end();
+        return true;
+    }
+
+    var threadCount;
+    try {
+        threadCount = getCallThreadCount(command);
+    }
+    catch (error) {
+        diagnosticsArea.setValue("Error when dispatching " + command.fnName + ". " + error.message);
+        return false;
+    }
+
+    const workGroupCount = getWorkGroupCount(pipeline, threadCount);
+
+    const maxWorkGroups = device.limits.maxComputeWorkgroupsPerDimension;
+    if (workGroupCount.some(count => count > maxWorkGroups)) {
+        diagnosticsArea.setValue("Error when dispatching " + command.fnName + ". " +
+            "Work-group count (" + workGroupCount.join(", ") + ") exceeds the device limit of " + maxWorkGroups + " per dimension.");
+        return false;
+    }
+
+    const pass = encoder.beginComputePass({ label: 'extra passes', timestampWrites: timestampWrites });
+    pass.setBindGroup(0, pipeline.bindGroup);
+    pass.setPipeline(pipeline.pipeline);
+    pass.dispatchWorkgroups(workGroupCount[0], workGroupCount[1], workGroupCount[2]);
+    pass.end();
+    return true;
+}
+
+// Swap the two textures of every PING_PONG pair, so that the texture written in this frame is read
+// as the previous one in the next frame.
+function swapPingPongResources() {
+    var swapped = false;
+    for (const { resourceName, parsedCommand } of resourceCommands) {
+        if (parsedCommand.type !== "PING_PONG")
+            continue;
+        const current = allocatedResources.get(resourceName);
+        allocatedResources.set(resourceName, allocatedResources.get(parsedCommand.previousName));
+        allocatedResources.set(parsedCommand.previousName, current);
+        swapped = true;
+    }
+
+    if (!swapped)
+        return;
+
+    computePipeline.createBindGroup(allocatedResources);
+    for (const pipeline of extraComputePipelines)
+        pipeline.createBindGroup(allocatedResources);
+}
+
+// Whether a CALL command should be dispatched on the given frame (counted from the last resource setup).
+function isCallScheduled(schedule, frameIndex) {
+    if (schedule.once)
+        return frameIndex == 0;
+    return frameIndex % schedule.every == 0;
+}
+
+// Select the pixel to trace in the pixel debugger, from a position in pixels of the rendered image. The next frame
+// collects the output printed by the imageMain invocation of that pixel.
+function selectDebugPixel(imageX, imageY) {
+    if (currentMode != RENDER_MODE)
+        return;
+    const pixel = getDebugPixel(imageX, imageY, currentWindowSize);
+    // Clicks on the canvas around the image don't select anything.
+    if (!pixel)
+        return;
+
+    debugPixelCapture = pixel;
+    playback.renderRequested = true;
+    document.getElementById("pixelDebugPanel").style.display = "flex";
+    document.getElementById("pixelDebugHeader").textContent = "Pixel (" + debugPixelCapture.x + ", " + debugPixelCapture.y + "): capturing...";
+}
+
+function closePixelDebugger() {
+    debugPixelCapture = null;
+    document.getElementById("pixelDebugPanel").style.display = "none";
+}
+
+function encodeDebugPixelCopy(encoder, pixel) {
+    encodePrintOutputCopy(encoder);
+
+    // Rows of a texture-to-buffer copy are 256 bytes apart, even for a single texel.
+    encoder.copyTextureToBuffer(
+        { texture: allocatedResources.get("outputTexture"), origin: { x: pixel.x, y: pixel.y } },
+        { buffer: allocatedResources.get("debugPixelRead"), bytesPerRow: 256 },
+        { width: 1, height: 1 });
+}
+
+async function readBackDebugPixel(pixel) {
+    const messages = await readBackPrintOutput();
+
+    const colorBuffer = allocatedResources.get("debugPixelRead");
+    await colorBuffer.mapAsync(GPUMapMode.READ);
+    const outputTexture = allocatedResources.get("outputTexture");
+    const color = Array.from(decodeTexels(colorBuffer.getMappedRange(), outputTexture.format, 1, 1, 256)).map(x => x.toFixed(3));
+    colorBuffer.unmap();
+
+    document.getElementById("pixelDebugHeader").textContent =
+        "Pixel (" + pixel.x + ", " + pixel.y + "), frame " + renderFrameIndex + ": color (" + color.join(", ") + ")";
+
+    var output = messages.filter(message => message.text !== undefined).map(message => message.text).join("");
+    if (output == "")
+        output = "No output. Call printf() in imageMain to trace the selected pixel.\n";
+    document.getElementById("pixelDebugOutput").textContent = output + getDroppedMessagesText();
+    reportAssertionFailures(messages);
+}
+
+var passProfiler = null;
+var passTimingsVisible = false;
+
+function getPassProfiler() {
+    if (!passProfiler || passProfiler.device != device)
+        passProfiler = new PassProfiler(device);
+    return passProfiler;
+}
+
+function togglePassTimings() {
+    passTimingsVisible = !passTimingsVisible;
+    getPassProfiler().reset();
+    const table = document.getElementById("passTimings");
+    table.style.display = passTimingsVisible ? "" : "none";
+    table.innerHTML = "";
+}
+
+// Show the min/avg/max time of each pass in the overlay.
+function renderPassTimings() {
+    const table = document.getElementById("passTimings");
+    table.innerHTML = "";
+
+    const header = table.insertRow();
+    for (const title of [passProfiler.supportsTimestamps ? "pass (GPU)" : "timestamp-query unsupported", "min", "avg", "max"]) {
+        const cell = document.createElement("th");
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+    for (const { name, min, avg, max } of passProfiler.getStatistics()) {
+        const row = table.insertRow();
+        row.insertCell().textContent = name;
+        for (const value of [min, avg, max])
+            row.insertCell().textContent = value.toFixed(3) + " ms";
+    }
+    if (passProfiler.untimedPassCount > 0) {
+        const cell = table.insertRow().insertCell();
+        cell.colSpan = 4;
+        cell.textContent = passProfiler.untimedPassCount + " pass(es) per frame over the limit of " + PassProfiler.MAX_PASSES + " are not timed.";
+    }
+}
+
+// Playback state of the render loop. The shader time is advanced by the loop, so that it can be paused,
+// stepped, scrubbed, scaled and advanced by a fixed delta per frame, independently of the wall-clock time.
+var playback = {
+    paused: false,
+    speed: 1,
+    fixedDelta: 0,          // Seconds per frame, or 0 to follow the wall-clock time.
+    time: 0,                // Shader time in seconds.
+    deltaTime: 0,           // Shader time elapsed since the previous frame.
+    lastTimeMS: null,       // requestAnimationFrame time of the previous frame.
+    stepRequested: false,   // Render one frame while paused, advancing the time.
+    renderRequested: false, // Render one frame while paused, at the current time.
+};
+
+const pausedStepDelta = 1 / 60;
+
+// Advance the shader time for a new frame. Returns "frame" to render the next frame, "redraw" to draw the current
+// frame again while paused, or null if nothing needs to be rendered.
+function advancePlayback(timeMS) {
+    const realDelta = playback.lastTimeMS == null ? 0 : (timeMS - playback.lastTimeMS) * 0.001;
+    playback.lastTimeMS = timeMS;
+
+    var delta;
+    var result = "frame";
+    if (!playback.paused)
+        delta = playback.fixedDelta > 0 ? playback.fixedDelta : realDelta;
+    else if (playback.stepRequested)
+        delta = playback.fixedDelta > 0 ? playback.fixedDelta : pausedStepDelta;
+    else if (playback.renderRequested) {
+        delta = 0;
+        result = "redraw";
+    }
+    else
+        return null;
+
+    playback.stepRequested = false;
+    playback.renderRequested = false;
+    playback.deltaTime = delta * playback.speed;
+    playback.time += playback.deltaTime;
+    updatePlaybackControls();
+    return result;
+}
+
+function resetPlayback() {
+    playback.time = 0;
+    playback.lastTimeMS = null;
+    playback.renderRequested = true;
+    updatePlaybackControls();
+}
+
+function updatePlaybackControls() {
+    document.getElementById("playPauseButton").textContent = playback.paused ? "Play" : "Pause";
+    document.getElementById("playbackTime").textContent = playback.time.toFixed(2) + " s";
+    const slider = document.getElementById("playbackTimeSlider");
+    slider.max = Math.max(Number(slider.max), Math.ceil(playback.time));
+    if (document.activeElement != slider)
+        slider.value = playback.time;
+}
+
+function onPlayPause() {
+    playback.paused = !playback.paused;
+    updatePlaybackControls();
+}
+
+function onStepFrame() {
+    playback.paused = true;
+    playback.stepRequested = true;
+    updatePlaybackControls();
+}
+
+function onScrubTime(value) {
+    playback.time = Number(value);
+    playback.renderRequested = true;
+    updatePlaybackControls();
+}
+
+function onPlaybackSpeedChange(value) {
+    playback.speed = Number(value);
+}
+
+function onFixedDeltaChange() {
+    const enabled = document.getElementById("fixedDeltaEnabled").checked;
+    const fps = Number(document.getElementById("fixedDeltaFps").value);
+    playback.fixedDelta = enabled && fps > 0 ? 1 / fps : 0;
+}
+
+// Write the playground uniforms and the values of the parameter panel, for a frame rendered at `resolution`.
+// Pointer positions are scaled from the canvas to that resolution. printf() and assert() only write to the
+// print buffer when `printEnabled` and `assertEnabled` are set.
+function writeUniformInput(resolution, debugPixel, printEnabled = false, assertEnabled = false, frameIndex = renderFrameIndex) {
+    const scaleX = resolution[0] / currentWindowSize[0];
+    const scaleY = resolution[1] / currentWindowSize[1];
+    // Frame sequences are rendered at a fixed date, advancing with the time of the sequence.
+    const now = frameSequence ? new Date(frameSequenceStartDate.getTime() + playback.time * 1000) : new Date();
+    const uniformData = writeUniformFields(uniformInputLayout, {
+        mousePosition: [
+            canvasCurrentMousePos.x * scaleX,
+            canvasCurrentMousePos.y * scaleY,
+            (canvasIsMouseDown ? -canvasLastMouseDownPos.x : canvasLastMouseDownPos.x) * scaleX,
+            (canvasMouseClicked ? -canvasLastMouseDownPos.y : canvasLastMouseDownPos.y) * scaleY,
+        ],
+        time: playback.time,
+        deltaTime: playback.deltaTime,
+        debugPixel: debugPixel,
+        printEnabled: printEnabled ? 1 : 0,
+        assertEnabled: assertEnabled ? 1 : 0,
+        resolution: resolution,
+        frameIndex: frameIndex,
+        date: [now.getFullYear(), now.getMonth(), now.getDate(),
+            now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() * 0.001],
+        keysDown: canvasKeysDown,
+        keysToggled: canvasKeysToggled,
+        pointerPressure: canvasPointerPressure,
+        touchCount: canvasTouches.size,
+        touches: Array.from(canvasTouches.values(),
+            touch => [touch.x * scaleX, touch.y * scaleY, touch.startX * scaleX, touch.startY * scaleY]),
+    });
+    // The user's global uniforms share the buffer, so the playground's block isn't necessarily at its start.
+    const uniformInputOffset = findReflectionParameter(resourceReflection, "uniformInput")?.binding?.offset ?? 0;
+    device.queue.writeBuffer(allocatedResources.get("uniformInput"), uniformInputOffset, uniformData);
+    writeParameterValues(device, allocatedResources);
+}
+
+// Dispatch imageMain over an output texture of the given size, one thread per pixel.
+function encodeImageMainDispatch(pass, bindGroup, width, height) {
+    pass.setBindGroup(0, bindGroup);
+    pass.setPipeline(computePipeline.pipeline);
+    pass.dispatchWorkgroups(...getWorkGroupCount(computePipeline, [width, height, 1]));
+}
 
 async function execFrame(timeMS) {
     if (currentMode == HIDDEN_MODE)
@@ -245,82 +710,82 @@ async function execFrame(timeMS) {
     if (currentWindowSize[0] < 2 || currentWindowSize[1] < 2)
         return false;
 
-    const startTime = performance.now();
+    // Keep the loop running while paused, to pick up play, step and scrub requests.
+    const request = advancePlayback(timeMS);
+    if (!request)
+        return currentMode == RENDER_MODE;
+
+    return await renderFrame(request == "redraw");
+}
 
-    var timeArray = new Float32Array(8);
-    timeArray[0] = canvasCurrentMousePos.x;
-    timeArray[1] = canvasCurrentMousePos.y;
-    timeArray[2] = canvasLastMouseDownPos.x;
-    timeArray[3] = canvasLastMouseDownPos.y;
-    if (canvasIsMouseDown)
-        timeArray[2] = -timeArray[2];
-    if (canvasMouseClicked)
-        timeArray[3] = -timeArray[3];
-    timeArray[4] = timeMS * 0.001;
-    computePipeline.device.queue.writeBuffer(allocatedResources.get("uniformInput"), 0, timeArray);
+// Render a frame at the current shader time. Returns true if the render loop should continue.
+// With `redraw`, the last frame is drawn again, e.g. at a scrubbed time or to capture a pixel while paused: only
+// imageMain and the blit run, so the state written by the '//! CALL' passes doesn't advance. Freshly created
+// resources still get a full first frame.
+async function renderFrame(redraw = false) {
+    const startTime = performance.now();
+    redraw = redraw && renderFrameIndex > 0;
 
-    // Encode commands to do the computation
-    const encoder = device.createCommandEncoder({ label: 'compute builtin encoder' });
+    // Bind the PING_PONG textures the way they were bound in the last frame.
+    if (redraw)
+        swapPingPongResources();
 
-    // The extra passes always go first.
-    // zip the extraComputePipelines and callCommands together
-    for (const [pipeline, command] of callCommands.map((x, i) => [extraComputePipelines[i], x])) {
-        const pass = encoder.beginComputePass({ label: 'extra passes' });
-        pass.setBindGroup(0, pipeline.bindGroup);
-        pass.setPipeline(pipeline.pipeline);
-        // Determine the workgroup size based on the size of the buffer or texture.
-        if (command.type == "RESOURCE_BASED") {
-            if (!globalThis.allocatedResources.has(command.resourceName)) {
-                diagnosticsArea.setValue("Error when dispatching " + command.fnName + ". Resource not found: " + command.resourceName);
-                pass.end();
-                return false;
-            }
+    // Only the frame capturing the pixel selected in the pixel debugger prints, and only the frames whose print
+    // buffer is read back record failed assertions. The print buffer is cleared at the start of those frames.
+    const capturePixel = currentMode == RENDER_MODE ? debugPixelCapture : null;
+    debugPixelCapture = null;
+    const checkAssertions = shaderUsesAssert && currentMode == RENDER_MODE && renderFrameIndex % assertionCheckInterval == 0;
 
-            var resource = globalThis.allocatedResources.get(command.resourceName)
-            if (resource instanceof GPUBuffer) {
-                var size = resource.size / 4;
-                const blockSizeX = pipeline.threadGroupSize.x;
-                const blockSizeY = pipeline.threadGroupSize.y;
+    writeUniformInput(currentWindowSize, capturePixel ? [capturePixel.x, capturePixel.y] : [-1, -1],
+        capturePixel != null, capturePixel != null || checkAssertions, redraw ? renderFrameIndex - 1 : renderFrameIndex);
 
-                const workGroupSizeX = Math.floor((size + blockSizeX - 1) / blockSizeX);
-                const workGroupSizeY = Math.floor((1 + blockSizeY - 1) / blockSizeY);
+    // The extra passes always go first.
+    // zip the extraComputePipelines and callCommands together, and keep the ones scheduled for this frame.
+    const scheduledCalls = redraw ? [] : callCommands
+        .map((x, i) => [extraComputePipelines[i], x])
+        .filter(([pipeline, command]) => isCallScheduled(command.schedule, renderFrameIndex));
 
-                pass.dispatchWorkgroups(workGroupSizeX, workGroupSizeY);
-            }
-            else if (resource instanceof GPUTexture) {
-                var size = [0, 0];
-                size[0] = resource.width;
-                size[1] = resource.height;
-                const blockSizeX = pipeline.threadGroupSize.x;
-                const blockSizeY = pipeline.threadGroupSize.y;
+    // Repeated calls are interleaved in source order, so that a sequence of kernels with the same
+    // REPEAT count runs as that many full iterations.
+    const iterationCount = Math.max(0, ...scheduledCalls.map(([pipeline, command]) => command.schedule.repeat));
 
-                const workGroupSizeX = Math.floor((size[0] + blockSizeX - 1) / blockSizeX);
-                const workGroupSizeY = Math.floor((size[1] + blockSizeY - 1) / blockSizeY);
+    // Encode commands to do the computation
+    const encoder = device.createCommandEncoder({ label: 'compute builtin encoder' });
+    const profiler = passTimingsVisible ? getPassProfiler() : null;
+    // The scheduled calls, imageMain or printMain, and the blit.
+    profiler?.beginFrame(scheduledCalls.reduce((count, [pipeline, command]) => count + command.schedule.repeat, 0) + 2);
 
-                pass.dispatchWorkgroups(workGroupSizeX, workGroupSizeY);
-            }
-            else {
-                pass.end();
-                diagnosticsArea.setValue("Error when dispatching " + command.fnName + ". Resource type not supported for dispatch: " + resource);
+    if (capturePixel || checkAssertions) {
+        encoder.clearBuffer(allocatedResources.get("g_printedBuffer"));
+        encoder.clearBuffer(allocatedResources.get("g_printState"));
+    }
+    for (let iteration = 0; iteration < iterationCount; iteration++) {
+        for (const [pipeline, command] of scheduledCalls) {
+            if (iteration >= command.schedule.repeat)
+                continue;
+            if (!encodeCallPass(encoder, pipeline, command, profiler?.timestampWrites(command.fnName)))
                 return false;
-            }
         }
-
-        pass.end();
     }
 
-    const pass = encoder.beginComputePass({ label: 'compute builtin pass' });
+    const pass = encoder.beginComputePass({
+        label: 'compute builtin pass',
+        timestampWrites: profiler?.timestampWrites(currentMode == RENDER_MODE ? "imageMain" : "printMain"),
+    });
 
-    pass.setBindGroup(0, computePipeline.bindGroup);
-    pass.setPipeline(computePipeline.pipeline);
-    const workGroupSizeX = (currentWindowSize[0] + 15) / 16;
-    const workGroupSizeY = (currentWindowSize[1] + 15) / 16;
-    pass.dispatchWorkgroups(workGroupSizeX, workGroupSizeY);
+    encodeImageMainDispatch(pass, computePipeline.bindGroup, currentWindowSize[0], currentWindowSize[1]);
     pass.end();
 
     if (currentMode == RENDER_MODE) {
+        const canvasSize = [canvas.width, canvas.height];
+        passThroughPipeline.setDisplayRect(canvasSize, getBlitRect(canvasSize, currentWindowSize, renderScalingMode),
+            renderScalingMode == "pixel" ? "nearest" : "linear");
+        // Without tone mapping, values above 1 are only shown on HDR canvases, up to the brightness of the display.
+        passThroughPipeline.setToneMapping(displaySettings.toneMapping, displaySettings.exposure, displaySettings.hdr ? 65504 : 1);
+
         var renderPassDescriptor = passThroughPipeline.createRenderPassDesc();
         renderPassDescriptor.colorAttachments[0].view = context.getCurrentTexture().createView();
+        renderPassDescriptor.timestampWrites = profiler?.timestampWrites("blit");
         const renderPass = encoder.beginRenderPass(renderPassDescriptor);
 
         renderPass.setBindGroup(0, passThroughPipeline.bindGroup);
@@ -329,6 +794,21 @@ async function execFrame(timeMS) {
         renderPass.end();
     }
 
+    // Keep a copy of this frame's output for the PREVIOUS_FRAME textures.
+    for (const { resourceName, parsedCommand } of resourceCommands) {
+        if (parsedCommand.type === "PREVIOUS_FRAME" && !redraw) {
+            encoder.copyTextureToTexture(
+                { texture: allocatedResources.get("outputTexture") },
+                { texture: allocatedResources.get(resourceName) },
+                [currentWindowSize[0], currentWindowSize[1]]);
+        }
+    }
+
+    if (capturePixel)
+        encodeDebugPixelCopy(encoder, capturePixel);
+    else if (checkAssertions)
+        encodePrintOutputCopy(encoder);
+
     // copy output buffer back in print mode
     if (currentMode == PRINT_MODE)
         encoder.copyBufferToBuffer(
@@ -338,6 +818,8 @@ async function execFrame(timeMS) {
             0,
             allocatedResources.get("outputBuffer").size);
 
+    profiler?.resolve(encoder);
+
     // Finish encoding and submit the commands
     const commandBuffer = encoder.finish();
     device.queue.submit([commandBuffer]);
@@ -346,15 +828,43 @@ async function execFrame(timeMS) {
 
     const timeElapsed = performance.now() - startTime;
 
+    if (profiler) {
+        if (profiler.supportsTimestamps)
+            await profiler.readBack();
+        else
+            profiler.addSample("frame (CPU)", timeElapsed);
+    }
+
+    if (capturePixel)
+        await readBackDebugPixel(capturePixel);
+    else if (checkAssertions)
+        reportAssertionFailures(await readBackPrintOutput());
+
+    swapPingPongResources();
+
+    if (!redraw) {
+        renderFrameIndex++;
+        renderIterationCount += iterationCount;
+    }
+
+    bufferInspectorOnFrame(renderFrameIndex);
+    textureInspectorOnFrame(renderFrameIndex);
+
     // Update performance info.
     timeAggregate += timeElapsed;
     frameCount++;
     if (frameCount == 20) {
         var avgTime = (timeAggregate / frameCount);
-        document.getElementById("performanceInfo").innerText = avgTime.toFixed(1) + " ms ";
+        averageFrameTimeText = avgTime.toFixed(1) + " ms, ";
         timeAggregate = 0;
         frameCount = 0;
+        if (profiler)
+            renderPassTimings();
     }
+    var frameInfoText = averageFrameTimeText + "frame " + renderFrameIndex;
+    if (renderIterationCount != renderFrameIndex && callCommands.length > 0)
+        frameInfoText += ", iteration " + renderIterationCount;
+    document.getElementById("performanceInfo").innerText = frameInfoText;
 
     // Only request the next frame if we are in the render mode
     if (currentMode == RENDER_MODE)
@@ -363,23 +873,59 @@ async function execFrame(timeMS) {
         return false;
 }
 
+// Copy the printed messages and the print buffer state into their staging buffers.
+function encodePrintOutputCopy(encoder) {
+    encoder.copyBufferToBuffer(
+        allocatedResources.get("g_printedBuffer"), 0, allocatedResources.get("printfBufferRead"), 0, allocatedResources.get("g_printedBuffer").size);
+    encoder.copyBufferToBuffer(
+        allocatedResources.get("g_printState"), 0, allocatedResources.get("printStateRead"), 0, allocatedResources.get("g_printState").size);
+}
+
+// Read back what was copied by `encodePrintOutputCopy`, returns the formatted messages.
+async function readBackPrintOutput() {
+    await allocatedResources.get("printfBufferRead").mapAsync(GPUMapMode.READ);
+    await allocatedResources.get("printStateRead").mapAsync(GPUMapMode.READ);
+
+    const printState = new Uint32Array(allocatedResources.get("printStateRead").getMappedRange());
+    printRequestedElementCount = printState[0];
+    printDroppedMessageCount = printState[1];
+    allocatedResources.get("printStateRead").unmap();
+
+    const messages = parsePrintfBuffer(
+        globalThis.hashedStrings,
+        allocatedResources.get("printfBufferRead").getMappedRange(),
+        globalThis.printfBufferElementSize);
+    allocatedResources.get("printfBufferRead").unmap();
+    return messages;
+}
+
+function getDroppedMessagesText() {
+    if (printDroppedMessageCount == 0)
+        return "";
+    return printDroppedMessageCount + " message(s) were dropped because the print buffer is full: " +
+        printRequestedElementCount + " entries were requested, but it only has " + printfBufferElementCount + ". " +
+        "Use '//! PRINT_BUFFER(n)' to increase its capacity.\n";
+}
+
 async function printResult() {
+    writeUniformInput(currentWindowSize, [-1, -1], true, true);
+
     // Encode commands to do the computation
     const encoder = device.createCommandEncoder({ label: 'compute builtin encoder' });
-    encoder.clearBuffer(allocatedResources.get("printfBufferRead"));
+    encoder.clearBuffer(allocatedResources.get("g_printedBuffer"));
+    encoder.clearBuffer(allocatedResources.get("g_printState"));
 
     const pass = encoder.beginComputePass({ label: 'compute builtin pass' });
 
     pass.setBindGroup(0, computePipeline.bindGroup);
     pass.setPipeline(computePipeline.pipeline);
-    pass.dispatchWorkgroups(1, 1);
+    pass.dispatchWorkgroups(...getWorkGroupCount(computePipeline, printDispatch.gridSize));
     pass.end();
 
     // copy output buffer back in print mode
     encoder.copyBufferToBuffer(
         allocatedResources.get("outputBuffer"), 0, allocatedResources.get("outputBufferRead"), 0, allocatedResources.get("outputBuffer").size);
-    encoder.copyBufferToBuffer(
-        allocatedResources.get("g_printedBuffer"), 0, allocatedResources.get("printfBufferRead"), 0, allocatedResources.get("g_printedBuffer").size);
+    encodePrintOutputCopy(encoder);
 
     // Finish encoding and submit the commands
     const commandBuffer = encoder.finish();
@@ -387,22 +933,109 @@ async function printResult() {
 
     await device.queue.onSubmittedWorkDone();
 
-    // Read the results once the job is done
-    await allocatedResources.get("printfBufferRead").mapAsync(GPUMapMode.READ);
+    // Read the results once the job is done.
+    // Messages of all threads are interleaved in the buffer, group them by thread in the order they were printed.
+    const messages = await readBackPrintOutput();
+
+    const outputByThreadIndex = new Map();
+    for (const { threadIndex, text } of messages) {
+        if (text === undefined)
+            continue;
+        if (!outputByThreadIndex.has(threadIndex))
+            outputByThreadIndex.set(threadIndex, { threadID: getPrintThreadID(threadIndex), text: "" });
+        outputByThreadIndex.get(threadIndex).text += text;
+    }
+    printOutputByThread = [...outputByThreadIndex.keys()].sort((a, b) => a - b).map(index => outputByThreadIndex.get(index));
 
-    var textResult = "";
-    const formatPrint = parsePrintfBuffer(
-        globalThis.hashedStrings,
-        allocatedResources.get("printfBufferRead"),
-        globalThis.printfBufferElementSize);
+    renderPrintResult();
+    reportAssertionFailures(messages);
+}
+
+// Convert the thread index that tags printed messages into the ID of the thread in the print grid.
+function getPrintThreadID(threadIndex) {
+    const [gridX, gridY] = printDispatch.gridSize;
+    return [threadIndex % gridX, Math.floor(threadIndex / gridX) % gridY, Math.floor(threadIndex / (gridX * gridY))];
+}
 
-    if (formatPrint.length != 0)
-        textResult += "Shader Output:\n" + formatPrint.join("") + "\n";
+function describePrintThread(threadIndex) {
+    if (threadIndex == 0xFFFFFFFF)
+        return "a kernel run by '//! CALL'";
+    if (currentMode == PRINT_MODE)
+        return "thread (" + getPrintThreadID(threadIndex).join(", ") + ")";
+    return "pixel (" + (threadIndex % currentWindowSize[0]) + ", " + Math.floor(threadIndex / currentWindowSize[0]) + ")";
+}
 
-    allocatedResources.get("printfBufferRead").unmap();
+// Report the failed assertions among `messages` in the diagnostics area and as markers in the editor.
+function reportAssertionFailures(messages) {
+    // Failures are grouped by call site, i.e. by line and message.
+    const failures = new Map();
+    for (const { threadIndex, assertion } of messages) {
+        if (assertion === undefined)
+            continue;
+        const key = assertion.line + ":" + assertion.message;
+        if (!failures.has(key))
+            failures.set(key, { ...assertion, count: 0, threadIndex: threadIndex });
+        failures.get(key).count++;
+    }
+
+    var report = "";
+    const markers = [];
+    for (const { line, message, count, threadIndex } of failures.values()) {
+        const where = line > 0 ? " at line " + line : "";
+        const what = message != "" ? ": \"" + message + "\"" : "";
+        const text = "Assertion failed" + where + what + ", " + count + " time(s), first in " +
+            describePrintThread(threadIndex) + ".";
+        report += text + "\n";
+        const location = assertionLocations.get(line);
+        if (line > 0) {
+            markers.push({
+                startLineNumber: line,
+                startColumn: location?.column ?? 1,
+                endLineNumber: line,
+                endColumn: location?.endColumn ?? 1000,
+                message: text,
+                severity: monaco.MarkerSeverity.Error,
+            });
+        }
+    }
+    if (report != "" && printDroppedMessageCount > 0)
+        report += "The print buffer was full, some failures were not recorded.\n";
+
+    if (report == lastAssertionReport)
+        return;
+    lastAssertionReport = report;
+    diagnosticsArea.setValue(assertionBaseDiagnostics + report);
+    monaco.editor.setModelMarkers(monacoEditor.getModel(), "assert", markers);
+}
+
+// Show the output of the last print run, grouped by thread and filtered by the thread filter.
+function renderPrintResult() {
+    document.getElementById("printThreadFilter").style.display = printDispatch.threadCount > 1 ? "" : "none";
+
+    var textResult = "";
+    if (printDispatch.threadCount == 1) {
+        if (printOutputByThread.length != 0)
+            textResult += "Shader Output:\n" + printOutputByThread[0].text + "\n";
+    }
+    else {
+        const threadFilter = document.getElementById("printThreadFilter").value.trim();
+        for (const { threadID, text } of printOutputByThread) {
+            if (threadFilter != "" && !matchesThreadFilter(threadID, threadFilter))
+                continue;
+            textResult += "Thread (" + threadID.join(", ") + "):\n" + text + "\n";
+        }
+    }
+
+    textResult += getDroppedMessagesText();
     document.getElementById("printResult").value = textResult;
 }
 
+// The thread filter is a comma separated list of x, y and z, where each of them can be a number or '*'.
+function matchesThreadFilter(threadID, filter) {
+    const parts = filter.split(",").map(x => x.trim());
+    return parts.every((part, i) => i >= 3 || part == "*" || part == "" || Number(part) == threadID[i]);
+}
+
 function checkShaderType(userSource) {
     // we did a pre-filter on the user input source code.
     const isImageMain = userSource.match("imageMain");
@@ -419,50 +1052,138 @@ function checkShaderType(userSource) {
         return SlangCompiler.PRINT_SHADER;
 }
 
-async function processResourceCommands(pipeline, resourceBindings, resourceCommands) {
+// Allocate and initialize the resources of the program. Resources in `previousResources` whose declaration
+// (directive, binding and element layout, plus the canvas size for size-dependent ones) hasn't changed are
+// kept as they are, so their contents survive resizing the canvas and re-running an edited shader.
+// All other previous resources are destroyed.
+async function processResourceCommands(pipeline, resourceBindings, resourceReflection, resourceCommands, previousResources, randomSeed = null) {
     var allocatedResources = new Map();
-    const safeSet = (map, key, value) => { if (map.has(key)) { map.get(key).destroy(); } map.set(key, value); };
+    // RAND resources get new values on every run, unless a seed is given to reproduce them.
+    const random = randomSeed == null ? Math.random : createSeededRandom(randomSeed);
+    const safeSet = (map, key, value) => { if (map.has(key)) { map.get(key).destroy?.(); } map.set(key, value); };
+
+    const declarationKeys = new Map();
+    const getDeclarationKey = (resourceName, parsedCommand, isSizeDependent) => {
+        const bindingInfo = resourceBindings.get(resourceName);
+        return JSON.stringify({
+            parsedCommand: parsedCommand,
+            // The binding index doesn't affect the resource itself.
+            binding: bindingInfo ? { ...bindingInfo, binding: undefined } : null,
+            elementSize: bindingInfo?.buffer ? getBufferElementStride(resourceReflection, resourceName) : null,
+            size: isSizeDependent ? currentWindowSize : null,
+            outputFormat: parsedCommand.type === "PREVIOUS_FRAME" ? outputTextureFormat : null,
+        });
+    };
+    const reuseResource = (resourceName, declarationKey) => {
+        declarationKeys.set(resourceName, declarationKey);
+        if (!previousResources || !previousResources.has(resourceName))
+            return false;
+        if (resourceDeclarationKeys.get(resourceName) !== declarationKey)
+            return false;
+        allocatedResources.set(resourceName, previousResources.get(resourceName));
+        return true;
+    };
+
+    // Storage textures use their declared format, other textures default to 'rgba8unorm'.
+    const getScreenSizeTextureFormat = (resourceName) => {
+        const bindingInfo = resourceBindings.get(resourceName);
+        if (!bindingInfo) {
+            throw new Error(`Resource ${resourceName} is not defined in the bindings.`);
+        }
+        if (!bindingInfo.texture && !bindingInfo.storageTexture) {
+            throw new Error(`Resource ${resourceName} is not a texture.`);
+        }
+        return bindingInfo.storageTexture?.format;
+    };
+
+    const createScreenSizeTexture = (resourceName, format) => {
+        format = format ?? getScreenSizeTextureFormat(resourceName) ?? 'rgba8unorm';
+        return createOutputTexture(pipeline.device, currentWindowSize[0], currentWindowSize[1], format);
+    };
+
+    // Size of one buffer element as laid out by the linked program. We fall back to 4 bytes (e.g. float)
+    // when the reflection doesn't tell us the element type.
+    const getElementSize = (resourceName) => getBufferElementStride(resourceReflection, resourceName) ?? 4;
+
+    const checkBufferSize = (resourceName, elementCount, elementSize) => {
+        const limit = Math.min(pipeline.device.limits.maxStorageBufferBindingSize, pipeline.device.limits.maxBufferSize);
+        if (elementCount * elementSize > limit) {
+            throw new Error(`Resource ${resourceName} needs ${elementCount} elements of ${elementSize} bytes ` +
+                `(${elementCount * elementSize} bytes), which exceeds the device limit of ${limit} bytes.`);
+        }
+    };
 
     for (const { resourceName, parsedCommand } of resourceCommands) {
+        if (isParameterAnnotation(parsedCommand))
+            continue;
+
+        const isSizeDependent = ["SCREEN_SIZE", "PING_PONG", "PREVIOUS_FRAME"].includes(parsedCommand.type);
+        const declarationKey = getDeclarationKey(resourceName, parsedCommand, isSizeDependent);
+        if (parsedCommand.type === "PING_PONG") {
+            // Evaluate both, so that both names get their declaration recorded.
+            const reused = [reuseResource(resourceName, declarationKey), reuseResource(parsedCommand.previousName, declarationKey)];
+            if (reused[0] && reused[1])
+                continue;
+        }
+        else if (reuseResource(resourceName, declarationKey)) {
+            continue;
+        }
+
         if (parsedCommand.type === "ZEROS") {
             const size = parsedCommand.size.reduce((a, b) => a * b);
-            const elementSize = 4; // Assuming 4 bytes per element (e.g., float) TODO: infer from type.
             const bindingInfo = resourceBindings.get(resourceName);
             if (!bindingInfo) {
                 throw new Error(`Resource ${resourceName} is not defined in the bindings.`);
             }
 
             if (bindingInfo.buffer) {
+                const elementSize = getElementSize(resourceName);
+                checkBufferSize(resourceName, size, elementSize);
+
+                // Zero-initialized buffers can also hold the arguments of a 'CALL(fn, INDIRECT(...))' dispatch,
+                // which are copied from them (see encodeCallPass()).
                 const buffer = pipeline.device.createBuffer({
                     size: size * elementSize,
-                    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+                    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
                 });
 
                 safeSet(allocatedResources, resourceName, buffer);
 
                 // Initialize the buffer with zeros.
-                const zeros = new Float32Array(size);
+                const zeros = new Uint8Array(size * elementSize);
                 pipeline.device.queue.writeBuffer(buffer, 0, zeros);
             } else if (bindingInfo.texture || bindingInfo.storageTexture) {
-                if (parsedCommand.size.length !== 2) {
-                    throw new Error(`Invalid parameter count ${parsedCommand.size.length} for ZEROS on texture ${resourceName}, should be 2.`);
+                const viewDimension = (bindingInfo.storageTexture || bindingInfo.texture).viewDimension || "2d";
+                var shape;
+                try {
+                    shape = getTextureShape(viewDimension, parsedCommand.size);
                 }
+                catch (error) {
+                    throw new Error(`Invalid ZEROS on texture ${resourceName}: ${error.message}`);
+                }
+
+                // Storage textures use the format declared in the shader, sampled textures only need a format
+                // that matches the sample type.
+                const format = bindingInfo.storageTexture ? bindingInfo.storageTexture.format :
+                    { "float": "rgba8unorm", "uint": "rgba32uint", "sint": "rgba32sint" }[bindingInfo.texture.sampleType];
                 try {
-                    let usage = GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT;
+                    let usage = GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC;
                     if (bindingInfo.storageTexture) {
                         usage |= GPUTextureUsage.STORAGE_BINDING;
                     }
+                    if (shape.dimension == "2d") {
+                        usage |= GPUTextureUsage.RENDER_ATTACHMENT;
+                    }
+
+                    // WebGPU zero-initializes new textures, so there is no need to upload any data.
                     const texture = pipeline.device.createTexture({
-                        size: parsedCommand.size,
-                        format: bindingInfo.storageTexture?'r32float':'rgba8unorm',
+                        dimension: shape.dimension,
+                        size: shape.size,
+                        format: format,
                         usage: usage,
                     });
 
                     safeSet(allocatedResources, resourceName, texture);
-
-                    // Initialize the texture with zeros.
-                    let zeros = new Uint8Array(Array(size*elementSize).fill(0));
-                    pipeline.device.queue.writeTexture({ texture }, zeros, {bytesPerRow: parsedCommand.size[0] * elementSize}, { width: parsedCommand.size[0], height: parsedCommand.size[1] });
                 }
                 catch (error) {
                     throw new Error(`Failed to create texture: ${error}`);
@@ -502,7 +1223,7 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
                 const texture = pipeline.device.createTexture({
                     size: [imageBitmap.width, imageBitmap.height],
                     format: 'rgba8unorm',
-                    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+                    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC | GPUTextureUsage.RENDER_ATTACHMENT,
                 });
                 pipeline.device.queue.copyExternalImageToTexture({ source: imageBitmap }, { texture: texture }, [imageBitmap.width, imageBitmap.height]);
                 safeSet(allocatedResources, resourceName, texture);
@@ -511,9 +1232,46 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
                 throw new Error(`Failed to create texture from image: ${error}`);
             }
         }
+        else if (parsedCommand.type === "SAMPLER") {
+            const bindingInfo = resourceBindings.get(resourceName);
+            if (!bindingInfo) {
+                throw new Error(`Resource ${resourceName} is not defined in the bindings.`);
+            }
+
+            if (!bindingInfo.sampler) {
+                throw new Error(`Resource ${resourceName} is not a sampler.`);
+            }
+
+            safeSet(allocatedResources, resourceName, pipeline.device.createSampler(parsedCommand.descriptor));
+        }
+        else if (parsedCommand.type === "SCREEN_SIZE") {
+            safeSet(allocatedResources, resourceName, createScreenSizeTexture(resourceName));
+        }
+        else if (parsedCommand.type === "PING_PONG") {
+            // Both textures of the pair are created with the same format, so they can switch roles every frame.
+            const format = getScreenSizeTextureFormat(resourceName) ?? getScreenSizeTextureFormat(parsedCommand.previousName);
+            safeSet(allocatedResources, resourceName, createScreenSizeTexture(resourceName, format));
+            safeSet(allocatedResources, parsedCommand.previousName, createScreenSizeTexture(parsedCommand.previousName, format));
+        }
+        else if (parsedCommand.type === "PREVIOUS_FRAME") {
+            const bindingInfo = resourceBindings.get(resourceName);
+            if (!bindingInfo) {
+                throw new Error(`Resource ${resourceName} is not defined in the bindings.`);
+            }
+
+            if (!bindingInfo.texture) {
+                throw new Error(`Resource ${resourceName} is not a texture.`);
+            }
+
+            // The copy of the output texture is updated at the end of every frame.
+            safeSet(allocatedResources, resourceName, pipeline.device.createTexture({
+                size: [currentWindowSize[0], currentWindowSize[1]],
+                format: outputTextureFormat,
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC,
+            }));
+        }
         else if (parsedCommand.type === "RAND") {
             const size = parsedCommand.size.reduce((a, b) => a * b);
-            const elementSize = 4; // Assuming 4 bytes per element (e.g., float) TODO: infer from type.
             const bindingInfo = resourceBindings.get(resourceName);
             if (!bindingInfo) {
                 throw new Error(`Resource ${resourceName} is not defined in the bindings.`);
@@ -523,9 +1281,16 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
                 throw new Error(`Resource ${resourceName} is not defined as a buffer.`);
             }
 
+            const elementSize = getElementSize(resourceName);
+            checkBufferSize(resourceName, size, elementSize);
+
+            // The random shader writes one float per 4-byte word, so struct and vector elements get
+            // every component filled.
+            const wordCount = size * elementSize / 4;
+
             const buffer = pipeline.device.createBuffer({
                 size: size * elementSize,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
             });
 
             safeSet(allocatedResources, resourceName, buffer);
@@ -541,10 +1306,11 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
                     throw new Error("[Internal] Failed to compile randFloat shader");
                 }
 
-                let [code, layout, hashedStrings] = compiledResult;
+                let [code, layout, hashedStrings, reflectionJson, threadGroupSize] = compiledResult;
                 const module = pipeline.device.createShaderModule({ code: code });
 
                 randomPipeline.createPipelineLayout(layout);
+                randomPipeline.setThreadGroupSize(threadGroupSize);
 
                 // Create the pipeline (without resource bindings for now)
                 randomPipeline.createPipeline(module, null);
@@ -571,7 +1337,7 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
                 // Set bindings on the pipeline.
                 globalThis.randFloatPipeline.createBindGroup(globalThis.randFloatResources);
 
-                const seedValue = new Float32Array([Math.random(), 0, 0, 0]);
+                const seedValue = new Float32Array([random(), 0, 0, 0]);
                 pipeline.device.queue.writeBuffer(seedBuffer, 0, seedValue);
 
                 // Encode commands to do the computation
@@ -581,8 +1347,7 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
                 pass.setBindGroup(0, randomPipeline.bindGroup);
                 pass.setPipeline(randomPipeline.pipeline);
 
-                const workGroupSizeX = Math.floor((size + 63) / 64);
-                pass.dispatchWorkgroups(workGroupSizeX, 1);
+                pass.dispatchWorkgroups(...getWorkGroupCount(randomPipeline, [wordCount, 1, 1]));
                 pass.end();
 
                 // Finish encoding and submit the commands
@@ -593,11 +1358,30 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
         }
     }
 
+    // Samplers without a SAMPLER command get the default sampler, and constant buffers a buffer that the
+    // parameter panel writes to.
+    for (const [name, bindingInfo] of resourceBindings) {
+        if (allocatedResources.has(name) || name == "uniformInput")
+            continue;
+        if (bindingInfo.sampler) {
+            allocatedResources.set(name, pipeline.device.createSampler(defaultSamplerDescriptor));
+        }
+        else if (bindingInfo.buffer?.type == 'uniform') {
+            const elementType = findReflectionParameter(resourceReflection, name)?.type?.elementType;
+            const size = elementType ? getReflectionTypeLayout(elementType).size : 0;
+            allocatedResources.set(name, pipeline.device.createBuffer({
+                size: alignUp(Math.max(size, 16), 16),
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            }));
+        }
+    }
+
     //
     // Some special-case allocations
     //
 
-    safeSet(allocatedResources, "outputTexture", createOutputTexture(device, currentWindowSize[0], currentWindowSize[1], 'rgba8unorm'));
+    if (!reuseResource("outputTexture", JSON.stringify({ size: currentWindowSize, format: outputTextureFormat })))
+        safeSet(allocatedResources, "outputTexture", createOutputTexture(device, currentWindowSize[0], currentWindowSize[1], outputTextureFormat));
 
     safeSet(allocatedResources, "outputBuffer", pipeline.device.createBuffer({
         size: 2 * 2 * 4,
@@ -609,9 +1393,10 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
         usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
     }));
 
+    checkBufferSize("g_printedBuffer", printfBufferElementCount, printfBufferElementSize);
     safeSet(allocatedResources, "g_printedBuffer", pipeline.device.createBuffer({
         size: printfBufferSize,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
     }));
 
     safeSet(allocatedResources, "printfBufferRead", pipeline.device.createBuffer({
@@ -619,15 +1404,54 @@ async function processResourceCommands(pipeline, resourceBindings, resourceComma
         usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
     }));
 
-    var length = new Float32Array(8).byteLength;
-    safeSet(allocatedResources, "uniformInput", pipeline.device.createBuffer({ size: length, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST }));
+    safeSet(allocatedResources, "debugPixelRead", pipeline.device.createBuffer({
+        size: 256,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    }));
+
+    // Write cursor and dropped message count of the print buffer.
+    safeSet(allocatedResources, "g_printState", pipeline.device.createBuffer({
+        size: 2 * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    }));
+
+    safeSet(allocatedResources, "printStateRead", pipeline.device.createBuffer({
+        size: 2 * 4,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    }));
+
+    // The default uniform buffer also holds the user's global uniforms.
+    const uniformInputSize = Math.max(uniformInputLayout.size, getDefaultUniformBufferSize(resourceReflection));
+    safeSet(allocatedResources, "uniformInput", pipeline.device.createBuffer({ size: uniformInputSize, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST }));
+
+    // Release whatever we didn't keep.
+    if (previousResources) {
+        const keptResources = new Set(allocatedResources.values());
+        for (const resource of previousResources.values()) {
+            if (!keptResources.has(resource))
+                resource.destroy?.();
+        }
+    }
+    resourceDeclarationKeys = declarationKeys;
 
     return allocatedResources;
 }
 
+// Restart the frame counters used for CALL scheduling when the user resources were (re)created, so that
+// ONCE calls run again on the fresh resources.
+function resetFrameCountersIfRecreated(previousResources, allocatedResources) {
+    const recreated = !previousResources || resourceCommands.some(({ resourceName }) =>
+        previousResources.get(resourceName) !== allocatedResources.get(resourceName));
+    if (recreated) {
+        renderFrameIndex = 0;
+        renderIterationCount = 0;
+    }
+}
+
 function freeAllocatedResources(resources) {
     for (const resource of resources.values()) {
-        resource.destroy();
+        // Samplers don't own any memory and can't be destroyed.
+        resource.destroy?.();
     }
 }
 
@@ -667,6 +1491,24 @@ var onRun = () => {
 
         globalThis.hashedStrings = ret.hashedStrings;
 
+        shaderUsesAssert = /\b(assert|ASSERT)\s*\(/.test(userSource);
+        assertionLocations = findAssertionLocations(userSource);
+        lastAssertionReport = "";
+        monaco.editor.setModelMarkers(monacoEditor.getModel(), "assert", []);
+
+        // The DISPATCH directive was already validated by the compiler, when generating the print entry point.
+        printDispatch = getPrintDispatchLayout(shaderType == SlangCompiler.PRINT_SHADER ? parseDispatchCommand(userSource) : [1, 1, 1]);
+        try {
+            printfBufferElementCount = parsePrintBufferCommand(userSource);
+        }
+        catch (error) {
+            throw new Error("Error while parsing '//! PRINT_BUFFER' command: " + error.message);
+        }
+        printfBufferSize = printfBufferElementSize * printfBufferElementCount;
+
+        // The OUTPUT_FORMAT directive was already validated by the compiler, when generating the image entry point.
+        outputTextureFormat = shaderType == SlangCompiler.RENDER_SHADER ? parseOutputFormatCommand(userSource) : "rgba8unorm";
+
         resourceCommands = parseResourceCommands(userSource);
 
         try {
@@ -677,8 +1519,21 @@ var onRun = () => {
         }
 
         resourceBindings = ret.layout;
+        resourceReflection = ret.reflection;
+        passProfiler?.reset();
+        resetPlayback();
         // create a pipeline resource 'signature' based on the bindings found in the program.
         computePipeline.createPipelineLayout(resourceBindings);
+        // The main pass is dispatched with the workgroup size reflected for imageMain or printMain.
+        computePipeline.setThreadGroupSize(ret.threadGroupSize);
+        if (shaderType == SlangCompiler.PRINT_SHADER) {
+            const workGroupCount = getWorkGroupCount(computePipeline, printDispatch.gridSize);
+            const maxWorkGroups = device.limits.maxComputeWorkgroupsPerDimension;
+            if (workGroupCount.some(count => count > maxWorkGroups)) {
+                throw new Error("Invalid size (" + printDispatch.gridSize.join(", ") + ") in DISPATCH, the work-group count (" +
+                    workGroupCount.join(", ") + ") exceeds the device limit of " + maxWorkGroups + " per dimension.");
+            }
+        }
 
         if (extraComputePipelines.length > 0)
             extraComputePipelines = []; // This should release the resources of the extra pipelines.
@@ -699,12 +1554,14 @@ var onRun = () => {
             }
         }
 
-        const allocatedResources = await processResourceCommands(computePipeline, resourceBindings, resourceCommands);
+        const previousResources = globalThis.allocatedResources;
+        const allocatedResources = await processResourceCommands(computePipeline, resourceBindings, resourceReflection, resourceCommands, previousResources);
         
         globalThis.allocatedResources = allocatedResources;
 
         if (!passThroughPipeline) {
             passThroughPipeline = new GraphicsPipeline(device);
+            passThroughPipeline.setTargetFormat(getCanvasFormat());
             const shaderModule = device.createShaderModule({ code: passThroughshaderCode });
             const inputTexture = allocatedResources.get("outputTexture");
             passThroughPipeline.createPipeline(shaderModule, inputTexture);
@@ -720,6 +1577,11 @@ var onRun = () => {
         for (const pipeline of globalThis.extraComputePipelines)
             pipeline.createBindGroup(allocatedResources);
 
+        resetFrameCountersIfRecreated(previousResources, allocatedResources);
+
+        updateParameterPanel(resourceReflection, resourceCommands);
+
+        assertionBaseDiagnostics = diagnosticsArea.getValue();
         toggleDisplayMode(compiler.shaderType);
     },
     // renderFn
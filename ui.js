@@ -113,12 +113,21 @@ function finishResizing() {
       codeEditors[i].style.overflow = "visible";
     }
     document.getElementById("reflectionTab").style["max-width"] = document.getElementById("rightContainerDiv").clientWidth + "px";
+    document.getElementById("bufferInspectorTab").style["max-width"] = document.getElementById("rightContainerDiv").clientWidth + "px";
+    document.getElementById("textureInspectorTab").style["max-width"] = document.getElementById("rightContainerDiv").clientWidth + "px";
+    document.getElementById("parametersTab").style["max-width"] = document.getElementById("rightContainerDiv").clientWidth + "px";
     
     var canvasRect = document.getElementById("canvas").getBoundingClientRect();
     
     renderOverlay.style.top = 5 + "px";
     renderOverlay.style.left = (canvasRect.left + 5) + "px";
     renderOverlay.style.display = canvasRect.height> 30?"block":"none";
+
+    var pixelDebugPanel = document.getElementById("pixelDebugPanel");
+    pixelDebugPanel.style.left = canvasRect.left + "px";
+    pixelDebugPanel.style.top = (canvasRect.top + canvasRect.height * 0.6) + "px";
+    pixelDebugPanel.style.width = canvasRect.width + "px";
+    pixelDebugPanel.style.height = (canvasRect.height * 0.4) + "px";
     resetMouse();
 }
 
@@ -368,17 +377,27 @@ btnShareLink.onclick = async function () {
 
 function openTab(tabId)
 {
-  var buttons = [document.getElementById("btnTargetCode"), document.getElementById("btnReflection")];
+  var buttons = [document.getElementById("btnTargetCode"), document.getElementById("btnReflection"),
+    document.getElementById("btnBufferInspector"), document.getElementById("btnTextureInspector"),
+    document.getElementById("btnParameters")];
+  var tabs = [document.getElementById("codeGen"), document.getElementById("reflectionTab"),
+    document.getElementById("bufferInspectorTab"), document.getElementById("textureInspectorTab"),
+    document.getElementById("parametersTab")];
+  for (var i = 1; i < tabs.length; i++)
+    tabs[i].style.display = "none";
+
   if (tabId == 0)
   {
-    document.getElementById("codeGen").style = "";
-    document.getElementById("reflectionTab").style.display = "none";
-    
+    tabs[0].style = "";
   }
   else
   {
-    document.getElementById("codeGen").style.display = "none";
-    document.getElementById("reflectionTab").style.display = "block";
+    tabs[0].style.display = "none";
+    tabs[tabId].style.display = tabId == 1 ? "block" : "flex";
+    if (tabId == 2)
+      updateBufferInspectorList();
+    else if (tabId == 3)
+      updateTextureInspectorList();
     finishResizing();
   }
   for (var i = 0; i < buttons.length; i++)
@@ -408,24 +427,92 @@ var canvasLastMouseDownPos = {x:0, y:0};
 var canvasCurrentMousePos = {x:0, y:0};
 var canvasIsMouseDown = false;
 var canvasMouseClicked = false;
-canvas.addEventListener("mousedown", function(event) {
-  canvasLastMouseDownPos.x = event.offsetX;
-  canvasLastMouseDownPos.y = event.offsetY;
-  canvasCurrentMousePos.x = event.offsetX;
-  canvasCurrentMousePos.y = event.offsetY;
+var canvasPointerPressure = 0;
+// Pressed pointers by pointer id, in the order they were pressed: {x, y, startX, startY}.
+var canvasTouches = new Map();
+
+// Position of a pointer event in pixels of the rendered image. The canvas backing texture is not the CSS size of
+// the canvas on high-DPI screens or when the canvas is scaled, and the image is shown in a part of the canvas
+// with the render resolution and scaling mode.
+function getRenderPixelPosition(event)
+{
+  const scaleX = canvas.clientWidth > 0 ? canvas.width / canvas.clientWidth : 1;
+  const scaleY = canvas.clientHeight > 0 ? canvas.height / canvas.clientHeight : 1;
+  const rect = getBlitRect([canvas.width, canvas.height], currentWindowSize, renderScalingMode);
+  return { x: (event.offsetX * scaleX - rect.left) / rect.scale, y: (event.offsetY * scaleY - rect.top) / rect.scale };
+}
+
+// Pointer events cover the mouse, touches and pens. The primary pointer drives getMousePosition(), and all
+// pressed pointers are exposed as touch points.
+canvas.addEventListener("pointerdown", function(event) {
+  const position = getRenderPixelPosition(event);
+  // Alt+click selects the pixel to trace in the pixel debugger, without affecting the shader's mouse input.
+  if (event.altKey) {
+    selectDebugPixel(position.x, position.y);
+    return;
+  }
+  // Keep receiving the moves of the pointer when it leaves the canvas while pressed.
+  canvas.setPointerCapture(event.pointerId);
+  if (canvasTouches.size < maxTouchPoints)
+    canvasTouches.set(event.pointerId, { x: position.x, y: position.y, startX: position.x, startY: position.y });
+  if (!event.isPrimary)
+    return;
+  canvasLastMouseDownPos.x = position.x;
+  canvasLastMouseDownPos.y = position.y;
+  canvasCurrentMousePos.x = position.x;
+  canvasCurrentMousePos.y = position.y;
+  canvasPointerPressure = event.pressure;
   canvasMouseClicked = true;
   canvasIsMouseDown = true;
 });
 
-canvas.addEventListener("mousemove", function(event) {
-  if (canvasIsMouseDown) {
-    canvasCurrentMousePos.x = event.offsetX;
-    canvasCurrentMousePos.y = event.offsetY;
+canvas.addEventListener("pointermove", function(event) {
+  const position = getRenderPixelPosition(event);
+  const touch = canvasTouches.get(event.pointerId);
+  if (touch) {
+    touch.x = position.x;
+    touch.y = position.y;
+  }
+  if (event.isPrimary && canvasIsMouseDown) {
+    canvasCurrentMousePos.x = position.x;
+    canvasCurrentMousePos.y = position.y;
+    canvasPointerPressure = event.pressure;
+  }
+});
+
+function onCanvasPointerUp(event)
+{
+  canvasTouches.delete(event.pointerId);
+  if (event.isPrimary) {
+    canvasIsMouseDown = false;
+    canvasPointerPressure = 0;
   }
+}
+canvas.addEventListener("pointerup", onCanvasPointerUp);
+canvas.addEventListener("pointercancel", onCanvasPointerUp);
+// Keyboard state for the shader, one bit per key code below 128. Keys only reach the canvas while it has the focus.
+var canvasKeysDown = new Uint32Array(4);
+var canvasKeysToggled = new Uint32Array(4);
+canvas.addEventListener("keydown", function(event) {
+  if (event.keyCode >= 128)
+    return;
+  const bit = 1 << (event.keyCode % 32);
+  if (!event.repeat)
+    canvasKeysToggled[event.keyCode >> 5] ^= bit;
+  canvasKeysDown[event.keyCode >> 5] |= bit;
+  // Don't scroll the page with space and the arrow keys.
+  if (event.keyCode == 32 || (event.keyCode >= 37 && event.keyCode <= 40))
+    event.preventDefault();
 });
-canvas.addEventListener("mouseup", function(event) {
-  canvasIsMouseDown = false;
+canvas.addEventListener("keyup", function(event) {
+  if (event.keyCode >= 128)
+    return;
+  canvasKeysDown[event.keyCode >> 5] &= ~(1 << (event.keyCode % 32));
 });
+canvas.addEventListener("blur", function() {
+  canvasKeysDown.fill(0);
+});
+
 function resetMouse()
 {
   canvasIsMouseDown = false;
@@ -434,4 +521,6 @@ function resetMouse()
   canvasCurrentMousePos.x = 0;
   canvasCurrentMousePos.y = 0;
   canvasMouseClicked = false;
+  canvasPointerPressure = 0;
+  canvasTouches.clear();
 }
\ No newline at end of file
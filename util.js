@@ -1,9 +1,12 @@
-function configContext(device, canvas) {
+// With `hdr`, the canvas is configured with a float format and extended range output, which browsers without
+// HDR canvas support ignore.
+function configContext(device, canvas, hdr = false) {
     let context = canvas.getContext('webgpu');
 
     const canvasConfig = {
         device: device,
-        format: navigator.gpu.getPreferredCanvasFormat(),
+        format: hdr ? 'rgba16float' : navigator.gpu.getPreferredCanvasFormat(),
+        toneMapping: { mode: hdr ? 'extended' : 'standard' },
         usage:
             GPUTextureUsage.RENDER_ATTACHMENT,
     };
@@ -26,6 +29,363 @@ function createOutputTexture(device, width, height, format) {
     return storageTexture;
 }
 
+// Find the reflection entry of a global shader parameter by name.
+function findReflectionParameter(reflectionJson, name) {
+    if (!reflectionJson || !reflectionJson.parameters)
+        return null;
+    for (const parameter of reflectionJson.parameters) {
+        if (parameter.name == name)
+            return parameter;
+    }
+    return null;
+}
+
+// Compute the size and alignment (in bytes) of a reflected type, following the layout rules that
+// WebGPU uses for storage buffers (vec3 is aligned as vec4, struct size is rounded up to its alignment).
+function getReflectionTypeLayout(reflectionType) {
+    switch (reflectionType.kind) {
+        case "scalar": {
+            const bitSize = reflectionType.scalarType.match(/(\d+)$/);
+            if (reflectionType.scalarType == "bool")
+                return { size: 4, alignment: 4 };
+            if (!bitSize)
+                throw new Error(`Unsupported scalar type: ${reflectionType.scalarType}`);
+            const size = Math.max(1, Number(bitSize[1]) / 8);
+            return { size: size, alignment: size };
+        }
+        case "vector": {
+            const element = getReflectionTypeLayout(reflectionType.elementType);
+            const count = reflectionType.elementCount;
+            return { size: element.size * count, alignment: element.size * (count == 3 ? 4 : count) };
+        }
+        case "matrix": {
+            // Slang matrices are laid out row by row, each row aligned as a vector.
+            const element = getReflectionTypeLayout(reflectionType.elementType);
+            const columnCount = reflectionType.columnCount;
+            const rowAlignment = element.size * (columnCount == 3 ? 4 : columnCount);
+            return { size: rowAlignment * reflectionType.rowCount, alignment: rowAlignment };
+        }
+        case "array": {
+            const element = getReflectionTypeLayout(reflectionType.elementType);
+            const stride = reflectionType.uniformStride || alignUp(element.size, element.alignment);
+            return { size: stride * reflectionType.elementCount, alignment: element.alignment };
+        }
+        case "struct": {
+            var size = 0;
+            var alignment = 1;
+            for (const field of reflectionType.fields) {
+                const fieldLayout = getReflectionTypeLayout(field.type);
+                alignment = Math.max(alignment, fieldLayout.alignment);
+                if (field.binding && field.binding.kind == "uniform")
+                    size = Math.max(size, field.binding.offset + field.binding.size);
+                else
+                    size = alignUp(size, fieldLayout.alignment) + fieldLayout.size;
+            }
+            return { size: alignUp(size, alignment), alignment: alignment };
+        }
+        default:
+            throw new Error(`Unsupported type kind: ${reflectionType.kind}`);
+    }
+}
+
+// Returns a function generating pseudo-random numbers in [0, 1) from a 32-bit seed (mulberry32), for
+// reproducible random initialization.
+function createSeededRandom(seed) {
+    var state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function alignUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+// Returns the stride (in bytes) of one element of a buffer resource, or `null` if the reflection
+// doesn't describe the element type. Throws if the element type has a layout we can't compute.
+function getBufferElementStride(reflectionJson, resourceName) {
+    const parameter = findReflectionParameter(reflectionJson, resourceName);
+    const elementType = parameter?.type?.resultType || parameter?.type?.elementType;
+    if (!elementType)
+        return null;
+
+    try {
+        // Intrinsic types like Atomic<uint> are reflected without fields, so their layout is unknown.
+        const layout = getReflectionTypeLayout(elementType);
+        return layout.size > 0 ? alignUp(layout.size, layout.alignment) : null;
+    }
+    catch (error) {
+        throw new Error(`Cannot infer the element size of ${resourceName}: ${error.message}`);
+    }
+}
+
+// Slang image format names (as written in the `[format("...")]` attribute) mapped to the WebGPU texture formats
+// that can be used as storage textures.
+const slangToWebGPUTextureFormat = {
+    "rgba32f": "rgba32float",
+    "rgba16f": "rgba16float",
+    "rg32f": "rg32float",
+    "r32f": "r32float",
+    "rgba8": "rgba8unorm",
+    "rgba8snorm": "rgba8snorm",
+    "rgba32i": "rgba32sint",
+    "rgba16i": "rgba16sint",
+    "rgba8i": "rgba8sint",
+    "rg32i": "rg32sint",
+    "r32i": "r32sint",
+    "rgba32ui": "rgba32uint",
+    "rgba16ui": "rgba16uint",
+    "rgba8ui": "rgba8uint",
+    "rg32ui": "rg32uint",
+    "r32ui": "r32uint",
+};
+
+// WebGPU only allows read-write access to single channel 32-bit storage textures.
+const readWriteStorageTextureFormats = ["r32float", "r32uint", "r32sint"];
+
+// Returns the scalar type and component count of a texture's element type, e.g. float4 => ["float32", 4].
+function getTextureElementInfo(parameterReflection) {
+    const resultType = parameterReflection?.type?.resultType;
+    if (!resultType)
+        return ["float32", 4];
+    if (resultType.kind == "vector")
+        return [resultType.elementType.scalarType, resultType.elementCount];
+    return [resultType.scalarType, 1];
+}
+
+function getTextureViewDimension(parameterReflection) {
+    const type = parameterReflection?.type;
+    if (!type)
+        return "2d";
+    const isArray = type.array == true;
+    switch (type.baseShape) {
+        case "texture1D": return "1d";
+        case "texture3D": return "3d";
+        case "textureCube": return isArray ? "cube-array" : "cube";
+        default: return isArray ? "2d-array" : "2d";
+    }
+}
+
+function getTextureSampleType(parameterReflection) {
+    const [scalarType] = getTextureElementInfo(parameterReflection);
+    if (scalarType.startsWith("uint"))
+        return "uint";
+    if (scalarType.startsWith("int"))
+        return "sint";
+    return "float";
+}
+
+function getStorageTextureAccess(parameterReflection) {
+    switch (parameterReflection?.type?.access) {
+        case "read": return "read-only";
+        case "write": return "write-only";
+        default: return "read-write";
+    }
+}
+
+// Use the declared `[format("...")]` if there is one, otherwise infer the format from the element type the
+// same way the Slang WGSL backend does (e.g. RWTexture2D<float4> => rgba32float). Throws if WebGPU can't
+// bind the texture with that format and access.
+function getStorageTextureFormat(parameterReflection) {
+    const name = parameterReflection?.name;
+    const declaredFormat = parameterReflection?.format;
+    var format;
+    if (declaredFormat) {
+        if (!(declaredFormat in slangToWebGPUTextureFormat))
+            throw new Error(`Texture format '${declaredFormat}' of ${name} can't be used for storage textures in WebGPU.`);
+        format = slangToWebGPUTextureFormat[declaredFormat];
+    }
+    else {
+        const [scalarType, componentCount] = getTextureElementInfo(parameterReflection);
+        const channels = ["r", "rg", "rgba", "rgba"][componentCount - 1];
+        if (scalarType.startsWith("uint"))
+            format = channels + "32uint";
+        else if (scalarType.startsWith("int"))
+            format = channels + "32sint";
+        else
+            format = channels + "32float";
+    }
+
+    if (getStorageTextureAccess(parameterReflection) == "read-write" && !readWriteStorageTextureFormats.includes(format)) {
+        throw new Error(`${name} is a read-write texture with format '${format}', but WebGPU only allows read-write ` +
+            `access for ${readWriteStorageTextureFormats.join(", ")}. Use a single channel 32-bit element type or ` +
+            `format (e.g. [format("r32f")] RWTexture2D<float>), or a write-only texture (e.g. WTexture2D).`);
+    }
+    return format;
+}
+
+// Returns the texture descriptor fields (dimension & size) needed to create a texture that can be viewed
+// with the given view dimension, from the sizes provided in a ZEROS command.
+function getTextureShape(viewDimension, size) {
+    const expectedArgs = { "1d": 1, "2d": 2, "2d-array": 3, "3d": 3, "cube": 2, "cube-array": 3 }[viewDimension];
+    if (size.length !== expectedArgs) {
+        throw new Error(`Invalid parameter count ${size.length} for a '${viewDimension}' texture, should be ${expectedArgs}.`);
+    }
+
+    switch (viewDimension) {
+        case "1d": return { dimension: "1d", size: [size[0]] };
+        case "3d": return { dimension: "3d", size: size };
+        case "cube": return { dimension: "2d", size: [size[0], size[1], 6] };
+        case "cube-array": return { dimension: "2d", size: [size[0], size[1], 6 * size[2]] };
+        default: return { dimension: "2d", size: size };
+    }
+}
+
+function halfToFloat(half) {
+    const sign = (half & 0x8000) ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+    if (exponent == 0)
+        return sign * Math.pow(2, -14) * (mantissa / 1024);
+    if (exponent == 0x1f)
+        return mantissa ? NaN : sign * Infinity;
+    return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+}
+
+function readReflectedScalar(dataView, offset, scalarType) {
+    switch (scalarType) {
+        case "float32": return dataView.getFloat32(offset, true);
+        case "float64": return dataView.getFloat64(offset, true);
+        case "float16": return halfToFloat(dataView.getUint16(offset, true));
+        case "int32": return dataView.getInt32(offset, true);
+        case "uint32": return dataView.getUint32(offset, true);
+        case "int64": return dataView.getBigInt64(offset, true);
+        case "uint64": return dataView.getBigUint64(offset, true);
+        case "int16": return dataView.getInt16(offset, true);
+        case "uint16": return dataView.getUint16(offset, true);
+        case "int8": return dataView.getInt8(offset);
+        case "uint8": return dataView.getUint8(offset);
+        case "bool": return dataView.getUint32(offset, true) != 0;
+        default: throw new Error(`Unsupported scalar type: ${scalarType}`);
+    }
+}
+
+function writeReflectedScalar(dataView, offset, scalarType, value) {
+    switch (scalarType) {
+        case "float32": dataView.setFloat32(offset, value, true); break;
+        case "int32": dataView.setInt32(offset, value, true); break;
+        case "uint32": dataView.setUint32(offset, value, true); break;
+        case "bool": dataView.setUint32(offset, value ? 1 : 0, true); break;
+        default: throw new Error(`Unsupported scalar type: ${scalarType}`);
+    }
+}
+
+// Size of the default uniform buffer, which holds the global `uniform` variables of all modules.
+function getDefaultUniformBufferSize(reflectionJson) {
+    var size = 0;
+    for (const parameter of reflectionJson?.parameters ?? []) {
+        if (parameter.binding?.kind == "uniform")
+            size = Math.max(size, parameter.binding.offset + parameter.binding.size);
+    }
+    return alignUp(size, 16);
+}
+
+function formatReflectedScalar(value) {
+    if (typeof value == "number" && !Number.isInteger(value))
+        return value.toPrecision(6);
+    return String(value);
+}
+
+// Decode a value of the given reflected type at `offset` into a readable string, e.g. "{pos: (1, 2), weight: 0.5}".
+function formatReflectedValue(dataView, offset, reflectionType) {
+    switch (reflectionType.kind) {
+        case "scalar":
+            return formatReflectedScalar(readReflectedScalar(dataView, offset, reflectionType.scalarType));
+        case "vector": {
+            const elementSize = getReflectionTypeLayout(reflectionType.elementType).size;
+            const components = [];
+            for (let i = 0; i < reflectionType.elementCount; i++)
+                components.push(formatReflectedValue(dataView, offset + i * elementSize, reflectionType.elementType));
+            return "(" + components.join(", ") + ")";
+        }
+        case "matrix": {
+            const rowType = { kind: "vector", elementCount: reflectionType.columnCount, elementType: reflectionType.elementType };
+            const rowStride = getReflectionTypeLayout(rowType).alignment;
+            const rows = [];
+            for (let i = 0; i < reflectionType.rowCount; i++)
+                rows.push(formatReflectedValue(dataView, offset + i * rowStride, rowType));
+            return "[" + rows.join(", ") + "]";
+        }
+        case "array": {
+            const element = getReflectionTypeLayout(reflectionType.elementType);
+            const stride = reflectionType.uniformStride || alignUp(element.size, element.alignment);
+            const elements = [];
+            for (let i = 0; i < reflectionType.elementCount; i++)
+                elements.push(formatReflectedValue(dataView, offset + i * stride, reflectionType.elementType));
+            return "[" + elements.join(", ") + "]";
+        }
+        case "struct": {
+            var fieldOffset = 0;
+            const fields = [];
+            for (const field of reflectionType.fields) {
+                const fieldLayout = getReflectionTypeLayout(field.type);
+                if (field.binding && field.binding.kind == "uniform")
+                    fieldOffset = field.binding.offset;
+                else
+                    fieldOffset = alignUp(fieldOffset, fieldLayout.alignment);
+                fields.push(field.name + ": " + formatReflectedValue(dataView, offset + fieldOffset, field.type));
+                fieldOffset += fieldLayout.size;
+            }
+            return "{" + fields.join(", ") + "}";
+        }
+        default:
+            throw new Error(`Unsupported type kind: ${reflectionType.kind}`);
+    }
+}
+
+// Describe the memory layout of a texture format, e.g. 'rgba16float' => {channels: "rgba", bits: 16, type: "float"}.
+// Returns null for packed or compressed formats.
+function getTexelFormatInfo(format) {
+    const match = format.match(/^(r|rg|rgba|bgra)(8|16|32)(unorm|snorm|uint|sint|float)$/);
+    if (!match)
+        return null;
+    const channels = match[1];
+    const bits = Number(match[2]);
+    return { channels: channels, bits: bits, type: match[3], bytesPerTexel: channels.length * bits / 8 };
+}
+
+// Decode texels read back from a texture into RGBA values (missing channels are 0, missing alpha is 1).
+function decodeTexels(data, format, width, height, bytesPerRow) {
+    const info = getTexelFormatInfo(format);
+    if (!info)
+        throw new Error(`Texture format '${format}' can't be decoded.`);
+
+    const dataView = new DataView(data);
+    const bytesPerChannel = info.bits / 8;
+    const readChannel = (offset) => {
+        switch (info.type + info.bits) {
+            case "unorm8": return dataView.getUint8(offset) / 255;
+            case "unorm16": return dataView.getUint16(offset, true) / 65535;
+            case "snorm8": return Math.max(-1, dataView.getInt8(offset) / 127);
+            case "snorm16": return Math.max(-1, dataView.getInt16(offset, true) / 32767);
+            case "uint8": return dataView.getUint8(offset);
+            case "uint16": return dataView.getUint16(offset, true);
+            case "uint32": return dataView.getUint32(offset, true);
+            case "sint8": return dataView.getInt8(offset);
+            case "sint16": return dataView.getInt16(offset, true);
+            case "sint32": return dataView.getInt32(offset, true);
+            case "float16": return halfToFloat(dataView.getUint16(offset, true));
+            case "float32": return dataView.getFloat32(offset, true);
+        }
+    };
+
+    const texels = new Float64Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const texelOffset = y * bytesPerRow + x * info.bytesPerTexel;
+            const rgba = [0, 0, 0, 1];
+            for (let c = 0; c < info.channels.length; c++)
+                rgba["rgba".indexOf(info.channels[c])] = readChannel(texelOffset + c * bytesPerChannel);
+            texels.set(rgba, (y * width + x) * 4);
+        }
+    }
+    return texels;
+}
+
 function reinterpretUint32AsFloat(uint32) {
     const buffer = new ArrayBuffer(4);
     const uint32View = new Uint32Array(buffer);
@@ -58,7 +418,39 @@ function parseResourceCommand(command) {
         }
         else if (funcName === "RAND") {
             return { type: "RAND", size: args.map(Number) };
-        };
+        }
+        else if (funcName === "SAMPLER") {
+            return { type: "SAMPLER", descriptor: parseSamplerArgs(args) };
+        }
+        else if (funcName === "SCREEN_SIZE") {
+            return { type: "SCREEN_SIZE" };
+        }
+        else if (funcName === "PING_PONG") {
+            if (!args[0].match(/^\w+$/)) {
+                throw new Error(`Invalid PING_PONG argument '${args[0]}', expected the name of the previous-frame texture.`);
+            }
+            return { type: "PING_PONG", previousName: args[0] };
+        }
+        else if (funcName === "PREVIOUS_FRAME") {
+            return { type: "PREVIOUS_FRAME" };
+        }
+        else if (funcName === "SLIDER") {
+            const [min, max, value] = args.map(Number);
+            if (args.length < 2 || args.length > 3 || !Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+                throw new Error(`Invalid SLIDER(${match[2]}), expected a minimum, a larger maximum and an optional default value.`);
+            }
+            return { type: "SLIDER", min: min, max: max, value: args.length == 3 ? value : min };
+        }
+        else if (funcName === "COLOR") {
+            const value = args.filter(arg => arg !== "").map(Number);
+            if (value.length > 4 || value.some(x => !Number.isFinite(x))) {
+                throw new Error(`Invalid COLOR(${match[2]}), expected up to 4 components.`);
+            }
+            return { type: "COLOR", value: value };
+        }
+        else {
+            throw new Error(`Unknown command: ${funcName}`);
+        }
 
     }
     else {
@@ -66,6 +458,45 @@ function parseResourceCommand(command) {
     }
 }
 
+// SLIDER and COLOR only annotate uniforms shown in the parameter panel, they don't declare a resource.
+function isParameterAnnotation(parsedCommand) {
+    return parsedCommand.type === "SLIDER" || parsedCommand.type === "COLOR";
+}
+
+// Sampler used for any SamplerState that isn't initialized with a SAMPLER(...) command.
+const defaultSamplerDescriptor = {
+    magFilter: "linear",
+    minFilter: "linear",
+    mipmapFilter: "linear",
+    addressModeU: "clamp-to-edge",
+    addressModeV: "clamp-to-edge",
+    addressModeW: "clamp-to-edge",
+};
+
+function parseSamplerArgs(args) {
+    const descriptor = Object.assign({}, defaultSamplerDescriptor);
+    for (const arg of args) {
+        if (arg === "")
+            continue;
+
+        if (arg === "linear" || arg === "nearest") {
+            descriptor.magFilter = arg;
+            descriptor.minFilter = arg;
+            descriptor.mipmapFilter = arg;
+        }
+        else if (arg === "repeat" || arg === "clamp" || arg === "mirror") {
+            const addressMode = { "repeat": "repeat", "clamp": "clamp-to-edge", "mirror": "mirror-repeat" }[arg];
+            descriptor.addressModeU = addressMode;
+            descriptor.addressModeV = addressMode;
+            descriptor.addressModeW = addressMode;
+        }
+        else {
+            throw new Error(`Invalid SAMPLER argument '${arg}', expected one of: linear, nearest, repeat, clamp, mirror.`);
+        }
+    }
+    return descriptor;
+}
+
 function parseResourceCommands(userSource) {
     // Now we'll handle some special comments that the user can provide to initialize their resources.
     //
@@ -73,6 +504,14 @@ function parseResourceCommands(userSource) {
     // 1. //! @outputBuffer: ZEROS(512, 512)   ==> Initialize "outputBuffer" with zeros of the provided size.
     // 2. //! @myBuffer: URL("https://example.com/image.png")   ==> Initialize "myBuffer" with image from URL.
     // 3. //! @noiseBuffer: RAND(1000)   ==> Initialize "myBuffer" with uniform random floats between 0 and 1.
+    // 4. //! @mySampler: SAMPLER(linear, repeat)   ==> Initialize "mySampler" with the given filter and address modes.
+    // 5. //! @bufferA: SCREEN_SIZE()   ==> Initialize "bufferA" with a texture the size of the canvas.
+    // 6. //! @state: PING_PONG(statePrev)   ==> Initialize "state" and "statePrev" with two textures the size of
+    //                                          the canvas, which are swapped after every frame.
+    // 7. //! @prevFrame: PREVIOUS_FRAME()   ==> Initialize "prevFrame" with a copy of the previous frame's output.
+    // 8. //! @exposure: SLIDER(0, 4, 1)   ==> Show the uniform "exposure" as a slider from 0 to 4, starting at 1, in
+    //                                        the parameter panel.
+    // 9. //! @tint: COLOR(1, 0.5, 0)   ==> Show the uniform "tint" as a color picker, starting at the given color.
     //
 
     const resourceCommands = [];
@@ -90,14 +529,71 @@ function parseResourceCommands(userSource) {
     return resourceCommands;
 }
 
+// Split a comma separated argument list, ignoring the commas nested inside parentheses.
+function splitTopLevelArgs(argString) {
+    const args = [];
+    var depth = 0;
+    var current = "";
+    for (const c of argString) {
+        if (c == ',' && depth == 0) {
+            args.push(current.trim());
+            current = "";
+            continue;
+        }
+        if (c == '(')
+            depth++;
+        else if (c == ')')
+            depth--;
+        current += c;
+    }
+    args.push(current.trim());
+    return args;
+}
+
+// Parse the scheduling modifiers that can follow the size of a CALL command.
+function parseCallSchedule(fnName, modifiers) {
+    const schedule = { once: false, every: 1, repeat: 1 };
+    for (const modifier of modifiers) {
+        const match = modifier.match(/^(ONCE|EVERY|REPEAT)(?:\(\s*(\d+)\s*\))?$/);
+        if (!match) {
+            throw new Error(`Invalid modifier '${modifier}' for ${fnName}, expected ONCE, EVERY(n) or REPEAT(k).`);
+        }
+
+        if (match[1] == "ONCE") {
+            schedule.once = true;
+            continue;
+        }
+
+        const count = Number(match[2]);
+        if (!match[2] || count <= 0) {
+            throw new Error(`${match[1]} for ${fnName} needs a positive count.`);
+        }
+        if (match[1] == "EVERY")
+            schedule.every = count;
+        else
+            schedule.repeat = count;
+    }
+    return schedule;
+}
+
 function parseCallCommands(userSource) {
     // Look for commands of the form:
     //
     // 1. //! CALL(fn-name, SIZE_OF(<resource-name>)) ==> Dispatch a compute pass with the given 
     //                                                    function name and using the resource size
-    //                                                    to determine the work-group size.
+    //                                                    to determine the number of threads.
     // 2. //! CALL(fn-name, 512, 512) ==> Dispatch a compute pass with the given function name and
-    //                                    the provided work-group size.
+    //                                    the provided number of threads (up to 3 dimensions).
+    // 3. //! CALL(fn-name, INDIRECT(<resource-name>, offset)) ==> Dispatch a compute pass with the work-group
+    //                                                             counts read from the buffer at the given
+    //                                                             byte offset (3 uints: x, y, z).
+    //
+    // Any of the above can be followed by scheduling modifiers:
+    //
+    //    ONCE      ==> Only dispatch on the first frame after the resources are set up.
+    //    EVERY(n)  ==> Only dispatch every n-th frame.
+    //    REPEAT(k) ==> Dispatch k times per frame. The repeated calls are interleaved in source order,
+    //                  so a sequence of kernels with the same REPEAT count runs as k full iterations.
     //
 
     const callCommands = [];
@@ -106,13 +602,31 @@ function parseCallCommands(userSource) {
         const match = line.match(/\/\/!\s+CALL\((\w+),\s*(.*)\)/);
         if (match) {
             const fnName = match[1];
-            const args = match[2].split(',').map(arg => arg.trim());
+            const allArgs = splitTopLevelArgs(match[2]);
+            const modifierIndex = allArgs.findIndex(arg => /^(ONCE|EVERY|REPEAT)\b/.test(arg));
+            const args = modifierIndex < 0 ? allArgs : allArgs.slice(0, modifierIndex);
+            const schedule = parseCallSchedule(fnName, modifierIndex < 0 ? [] : allArgs.slice(modifierIndex));
 
-            if (args[0].startsWith("SIZE_OF")) {
-                callCommands.push({ type: "RESOURCE_BASED", fnName, resourceName: args[0].slice(8, -1) });
+            if (args[0].startsWith("INDIRECT")) {
+                const indirectMatch = args[0].match(/^INDIRECT\(\s*(\w+)\s*(?:,\s*(\d+)\s*)?\)$/);
+                if (args.length != 1 || !indirectMatch) {
+                    throw new Error(`Invalid INDIRECT arguments for ${fnName}, expected INDIRECT(<resource-name>, offset).`);
+                }
+                const offset = Number(indirectMatch[2] ?? 0);
+                if (offset % 4 != 0) {
+                    throw new Error(`INDIRECT offset ${offset} for ${fnName} must be a multiple of 4.`);
+                }
+                callCommands.push({ type: "INDIRECT", fnName, resourceName: indirectMatch[1], offset, schedule });
+            }
+            else if (args[0].startsWith("SIZE_OF")) {
+                callCommands.push({ type: "RESOURCE_BASED", fnName, resourceName: args[0].slice(8, -1), schedule });
             }
             else {
-                callCommands.push({ type: "FIXED_SIZE", fnName, size: args.map(Number) });
+                const size = args.map(Number);
+                if (size.length > 3 || size.some(x => !Number.isInteger(x) || x <= 0)) {
+                    throw new Error(`Invalid size (${args.join(", ")}) for ${fnName}, expected 1 to 3 positive integers.`);
+                }
+                callCommands.push({ type: "FIXED_SIZE", fnName, size, schedule });
             }
         }
     }
@@ -120,9 +634,194 @@ function parseCallCommands(userSource) {
     return callCommands;
 }
 
+// Compute the offsets of uniform struct fields given as [{name, type, count}], with types like "float", "int2" or
+// "uint4", and an optional array element count. Vectors are aligned to their size, three-component vectors like
+// four-component ones. Arrays are aligned to 16 bytes with a 16 byte stride, and the struct size is rounded up
+// to 16 bytes.
+function getUniformFieldLayout(fields) {
+    const offsets = new Map();
+    var offset = 0;
+    for (const field of fields) {
+        const match = field.type.match(/^(float|int|uint)([234]?)$/);
+        if (!match)
+            throw new Error(`Unsupported uniform type '${field.type}' for ${field.name}.`);
+        const componentCount = Number(match[2] || 1);
+        const alignment = field.count ? 16 : componentCount == 1 ? 4 : componentCount == 2 ? 8 : 16;
+        offset = alignUp(offset, alignment);
+        offsets.set(field.name, { offset: offset, scalarType: match[1], componentCount: componentCount, arrayCount: field.count });
+        offset += field.count ? field.count * 16 : componentCount * 4;
+    }
+    return { offsets: offsets, size: alignUp(offset, 16) };
+}
+
+// Write the values of the fields, given as numbers or arrays of numbers by field name, into an ArrayBuffer.
+// The values of array fields are given as an array of such values, missing elements are written as zeros.
+function writeUniformFields(layout, values) {
+    const data = new ArrayBuffer(layout.size);
+    const dataView = new DataView(data);
+    for (const [name, { offset, scalarType, componentCount, arrayCount }] of layout.offsets) {
+        const elements = arrayCount ? values[name] ?? [] : [values[name]];
+        for (let element = 0; element < (arrayCount ?? 1); element++) {
+            const value = elements[element] ?? 0;
+            const components = Array.isArray(value) || ArrayBuffer.isView(value) ? value : [value];
+            const elementOffset = offset + element * 16;
+            for (let i = 0; i < componentCount; i++) {
+                const component = components[i] ?? 0;
+                if (scalarType == "float")
+                    dataView.setFloat32(elementOffset + i * 4, component, true);
+                else if (scalarType == "int")
+                    dataView.setInt32(elementOffset + i * 4, component, true);
+                else
+                    dataView.setUint32(elementOffset + i * 4, component, true);
+            }
+        }
+    }
+    return data;
+}
+
+// Parse a render resolution setting: "canvas" (or an empty string) for the size of the canvas, a scale factor of
+// the canvas size like "0.5x", or a fixed size like "1920x1080". Returns {scale} or {width, height}.
+function parseRenderResolution(text) {
+    text = text.trim().toLowerCase();
+    if (text == "" || text == "canvas")
+        return { scale: 1 };
+
+    var match = text.match(/^(\d+(?:\.\d+)?|\.\d+)\s*x$/);
+    if (match && Number(match[1]) > 0)
+        return { scale: Number(match[1]) };
+
+    match = text.match(/^(\d+)\s*[x\u00d7]\s*(\d+)$/);
+    if (match && Number(match[1]) > 0 && Number(match[2]) > 0)
+        return { width: Number(match[1]), height: Number(match[2]) };
+
+    throw new Error(`Invalid render resolution '${text}', expected 'canvas', a scale like '0.5x' or a size like '1920x1080'.`);
+}
+
+// Size of the rendered image for a resolution setting, clamped to [2, maxSize].
+function getRenderSize(canvasSize, resolution, maxSize) {
+    const size = resolution.scale ?
+        canvasSize.map(x => Math.round(x * resolution.scale)) :
+        [resolution.width, resolution.height];
+    return size.map(x => Math.max(2, Math.min(x, maxSize)));
+}
+
+// Rectangle of the canvas, in pixels, where an image is shown with the given scaling mode:
+// - "fit": as large as possible with the image entirely visible.
+// - "fill": as small as possible with the canvas entirely covered, cropping the image.
+// - "pixel": scaled by an integer factor, at a whole pixel position, for exact pixel sizes with nearest filtering.
+// The image is centered in all modes.
+function getBlitRect(canvasSize, imageSize, mode) {
+    const scaleX = canvasSize[0] / imageSize[0];
+    const scaleY = canvasSize[1] / imageSize[1];
+    var scale = mode == "fill" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    if (mode == "pixel" && scale >= 1)
+        scale = Math.floor(scale);
+
+    const width = imageSize[0] * scale;
+    const height = imageSize[1] * scale;
+    var left = (canvasSize[0] - width) / 2;
+    var top = (canvasSize[1] - height) / 2;
+    if (mode == "pixel") {
+        left = Math.floor(left);
+        top = Math.floor(top);
+    }
+    return { left: left, top: top, width: width, height: height, scale: scale };
+}
+
+// Pixel of the output texture traced by the pixel debugger, from a position in the shown image, or null outside of
+// the image. The output texture is shown with its first row at the bottom.
+function getDebugPixel(imageX, imageY, imageSize) {
+    const x = Math.floor(imageX);
+    const y = Math.floor(imageY);
+    if (x < 0 || y < 0 || x >= imageSize[0] || y >= imageSize[1])
+        return null;
+    return { x: x, y: imageSize[1] - 1 - y };
+}
+
+// Formats of the output texture of imageMain, with the name of the format in Slang's [format(...)] attribute.
+const outputTextureFormats = {
+    "rgba8unorm": "rgba8",
+    "rgba16float": "rgba16f",
+    "rgba32float": "rgba32f",
+};
+
+// Parse the '//! OUTPUT_FORMAT(format)' directive of an image shader, which sets the format of the output texture.
+// Returns 'rgba8unorm' without the directive.
+function parseOutputFormatCommand(userSource) {
+    const match = userSource.match(/\/\/!\s*OUTPUT_FORMAT\s*\(([^)]*)\)/);
+    if (!match)
+        return "rgba8unorm";
+
+    const format = match[1].trim();
+    if (!(format in outputTextureFormats))
+        throw new Error(`Invalid format (${format}) in OUTPUT_FORMAT, expected one of ${Object.keys(outputTextureFormats).join(", ")}.`);
+    return format;
+}
+
+// Parse the '//! WORKGROUP_SIZE(x, y)' directive of an image shader, which sets the [numthreads] of imageMain.
+// Returns [16, 16] without the directive.
+function parseWorkgroupSizeCommand(userSource) {
+    const match = userSource.match(/\/\/!\s*WORKGROUP_SIZE\s*\(([^)]*)\)/);
+    if (!match)
+        return [16, 16];
+
+    const size = match[1].split(",").map(x => Number(x.trim()));
+    if (size.length != 2 || size.some(x => !Number.isInteger(x) || x <= 0))
+        throw new Error(`Invalid size (${match[1]}) in WORKGROUP_SIZE, expected 2 positive integers.`);
+    // The smallest limit on the number of invocations of a workgroup that WebGPU devices must support.
+    if (size[0] * size[1] > 256)
+        throw new Error(`Invalid size (${match[1]}) in WORKGROUP_SIZE, workgroups can have at most 256 threads.`);
+    return size;
+}
+
+// Default number of printf buffer elements, shared by all threads of a print shader.
+const defaultPrintfBufferElementCount = 2048;
+const maxPrintThreadWorkgroupSize = 256;
+
+// Parse the '//! PRINT_BUFFER(n)' directive, which sets the number of elements of the printf buffer.
+function parsePrintBufferCommand(userSource) {
+    const match = userSource.match(/\/\/!\s*PRINT_BUFFER\s*\(([^)]*)\)/);
+    if (!match)
+        return defaultPrintfBufferElementCount;
+
+    const size = Number(match[1].trim());
+    if (!Number.isInteger(size) || size <= 0)
+        throw new Error(`Invalid size (${match[1]}) in PRINT_BUFFER, expected a positive integer.`);
+    return size;
+}
+
+// Parse the '//! DISPATCH(x[, y[, z]])' directive of a print shader, which runs printMain on a grid of threads.
+// Returns the grid size, or [1, 1, 1] without the directive.
+function parseDispatchCommand(userSource) {
+    const match = userSource.match(/\/\/!\s*DISPATCH\s*\(([^)]*)\)/);
+    if (!match)
+        return [1, 1, 1];
+
+    const size = match[1].split(",").map(x => Number(x.trim()));
+    if (size.length > 3 || size.some(x => !Number.isInteger(x) || x <= 0))
+        throw new Error(`Invalid size (${match[1]}) in DISPATCH, expected 1 to 3 positive integers.`);
+    while (size.length < 3)
+        size.push(1);
+    return size;
+}
+
+// Split a print grid into workgroups of at most `maxPrintThreadWorkgroupSize` threads, filled along x first.
+function getPrintDispatchLayout(gridSize) {
+    const workgroupSize = [Math.min(gridSize[0], maxPrintThreadWorkgroupSize), 1, 1];
+    workgroupSize[1] = Math.min(gridSize[1], Math.floor(maxPrintThreadWorkgroupSize / workgroupSize[0]));
+    workgroupSize[2] = Math.min(gridSize[2], 64, Math.floor(maxPrintThreadWorkgroupSize / (workgroupSize[0] * workgroupSize[1])));
+
+    const threadCount = gridSize[0] * gridSize[1] * gridSize[2];
+    return {
+        gridSize: gridSize,
+        workgroupSize: workgroupSize,
+        threadCount: threadCount,
+    };
+}
+
 function parsePrintfFormat(formatString) {
     const formatSpecifiers = [];
-    const regex = /%([-+ #0]*)(\d*)(\.\d+)?([diufFeEgGxXosc])/g;
+    const regex = /%([-+ #0]*)(\d*)(\.\d+)?([diufFeEgGxXoscv])/g;
     let lastIndex = 0;
 
     let match;
@@ -172,43 +871,62 @@ function formatPrintfString(parsedTokens, data) {
     return result;
 }
 
+// Integers can arrive as numbers, BigInts (64-bit types) or booleans.
+function toPrintfInteger(value) {
+    if (typeof value == 'bigint')
+        return value;
+    const number = Math.trunc(Number(value));
+    return Number.isFinite(number) ? BigInt(number) : 0n;
+}
+
 // Helper function to format each specifier
 function formatSpecifier(value, { flags, width, precision, specifierType }) {
     let formattedValue;
 
+    // Vectors are formatted component by component as "(x, y, z)", matrices row by row as "[(..), (..)]".
+    if (Array.isArray(value)) {
+        const components = value.map(component => formatSpecifier(component, { flags, width, precision, specifierType }));
+        return Array.isArray(value[0]) ? "[" + components.join(", ") + "]" : "(" + components.join(", ") + ")";
+    }
+
+    const integer = () => toPrintfInteger(value);
+    // Unsigned conversions show negative integers as their two's complement, on 64 bits for BigInts (64-bit types)
+    // and on 32 bits otherwise.
+    const unsignedInteger = () => BigInt.asUintN(typeof value == 'bigint' ? 64 : 32, integer());
+
     switch (specifierType) {
         case 'd':
         case 'i': // Integer (decimal)
-            formattedValue = parseInt(value).toString();
+            formattedValue = integer().toString();
             break;
         case 'u': // Unsigned integer
-            formattedValue = Math.abs(parseInt(value)).toString();
+            formattedValue = unsignedInteger().toString();
             break;
         case 'o': // Octal
-            formattedValue = Math.abs(parseInt(value)).toString(8);
+            formattedValue = unsignedInteger().toString(8);
             break;
         case 'x': // Hexadecimal (lowercase)
-            formattedValue = Math.abs(parseInt(value)).toString(16);
+            formattedValue = unsignedInteger().toString(16);
             break;
         case 'X': // Hexadecimal (uppercase)
-            formattedValue = Math.abs(parseInt(value)).toString(16).toUpperCase();
+            formattedValue = unsignedInteger().toString(16).toUpperCase();
             break;
         case 'f':
         case 'F': // Floating-point
-            formattedValue = parseFloat(value).toFixed(precision || 6);
+            formattedValue = Number(value).toFixed(precision || 6);
             break;
         case 'e': // Scientific notation (lowercase)
-            formattedValue = parseFloat(value).toExponential(precision || 6);
+            formattedValue = Number(value).toExponential(precision || 6);
             break;
         case 'E': // Scientific notation (uppercase)
-            formattedValue = parseFloat(value).toExponential(precision || 6).toUpperCase();
+            formattedValue = Number(value).toExponential(precision || 6).toUpperCase();
             break;
         case 'g':
         case 'G': // Shortest representation of floating-point
-            formattedValue = parseFloat(value).toPrecision(precision || 6);
+            formattedValue = Number(value).toPrecision(precision || 6);
             break;
         case 'c': // Character
-            formattedValue = String.fromCharCode(parseInt(value));
+            formattedValue = String.fromCharCode(Number(integer()));
             break;
         case 's': // String
             formattedValue = String(value);
@@ -216,6 +934,12 @@ function formatSpecifier(value, { flags, width, precision, specifierType }) {
                 formattedValue = formattedValue.slice(0, precision);
             }
             break;
+        case 'v': // Any value, in its natural representation
+            if (typeof value == 'number' && precision)
+                formattedValue = value.toFixed(precision);
+            else
+                formattedValue = formatReflectedScalar(value);
+            break;
         case '%': // Literal '%'
             return '%';
         default:
@@ -226,8 +950,8 @@ function formatSpecifier(value, { flags, width, precision, specifierType }) {
     if (width) {
         const paddingChar = flags.includes('0') && !flags.includes('-') ? '0' : ' ';
         const isLeftAligned = flags.includes('-');
-        const needsSign = flags.includes('+') && parseFloat(value) >= 0;
-        const needsSpace = flags.includes(' ') && !needsSign && parseFloat(value) >= 0;
+        const needsSign = flags.includes('+') && Number(value) >= 0;
+        const needsSpace = flags.includes(' ') && !needsSign && Number(value) >= 0;
 
         if (needsSign) {
             formattedValue = '+' + formattedValue;
@@ -269,54 +993,138 @@ function hashToString(hashedStrings, hash) {
         }
     }
 }
-function parsePrintfBuffer(hashedString, printfValueResource, bufferElementSize) {
+// Combine the low and high words of a printf element into a 64-bit value.
+function printfWordsToBigInt(low, high, signed) {
+    const value = (BigInt(high) << 32n) | BigInt(low);
+    return signed ? BigInt.asIntN(64, value) : value;
+}
+
+function printfWordsToDouble(low, high) {
+    const dataView = new DataView(new ArrayBuffer(8));
+    dataView.setUint32(0, low, true);
+    dataView.setUint32(4, high, true);
+    return dataView.getFloat64(0, true);
+}
+
+// Every message in the printf buffer starts with a format string, or is a single failed assertion.
+function isPrintfMessageStart(type) {
+    return type == 1 || type == 12;
+}
+
+// Find the ASSERT() calls in the source, as a map from line number to the columns of the first call on the line.
+function findAssertionLocations(userSource) {
+    const locations = new Map();
+    const lines = userSource.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/\bASSERT\s*\(/);
+        if (match)
+            locations.set(i + 1, { column: match.index + 1, endColumn: lines[i].length + 1 });
+    }
+    return locations;
+}
+
+// Format the messages in the printf buffer. Returns them in the order they were printed, as {threadIndex, text}
+// for printed messages and {threadIndex, assertion: {line, message}} for failed assertions.
+function parsePrintfBuffer(hashedString, printfData, bufferElementSize) {
 
     // Read the printf buffer
-    const printfBufferArray = new Uint32Array(printfValueResource.getMappedRange())
+    const printfBufferArray = new Uint32Array(printfData)
 
     var elementIndex = 0;
     var numberElements = printfBufferArray.byteLength / bufferElementSize;
 
-    // TODO: We currently doesn't support 64-bit data type (e.g. uint64_t, int64_t, double, etc.)
-    // so 32-bit array should be able to contain everything we need.
     var dataArray = [];
     const elementSizeInWords = bufferElementSize / 4;
-    var outStrArry = [];
+    var messages = [];
     var formatString = "";
+    var threadIndex = 0;
+
+    // Vector and matrix values are collected here until all their elements have been read.
+    var aggregate = null;
+    const pushValue = (value) => {
+        if (!aggregate) {
+            dataArray.push(value);
+            return;
+        }
+        aggregate.values.push(value);
+        if (aggregate.values.length < aggregate.count)
+            return;
+        var result = aggregate.values;
+        if (aggregate.columns) {
+            result = [];
+            for (let i = 0; i < aggregate.values.length; i += aggregate.columns)
+                result.push(aggregate.values.slice(i, i + aggregate.columns));
+        }
+        aggregate = null;
+        dataArray.push(result);
+    };
+
     for (elementIndex = 0; elementIndex < numberElements; elementIndex++) {
         var offset = elementIndex * elementSizeInWords;
         const type = printfBufferArray[offset];
+        const low = printfBufferArray[offset + 1];
+        const high = printfBufferArray[offset + 2];
         switch (type) {
             case 1: // format string
-                formatString = hashToString(hashedString, (printfBufferArray[offset + 1] << 0));  // low field
+                formatString = hashToString(hashedString, (low << 0));
+                threadIndex = high;
                 break;
             case 2: // normal string
-                dataArray.push(hashToString(hashedString, (printfBufferArray[offset + 1] << 0)));  // low field
+                pushValue(hashToString(hashedString, (low << 0)));
                 break;
-            case 3: // integer
-                dataArray.push(printfBufferArray[offset + 1]);  // low field
+            case 3: // unsigned integer
+                pushValue(low);
                 break;
             case 4: // float
-                const floatData = reinterpretUint32AsFloat(printfBufferArray[offset + 1]);
-                dataArray.push(floatData);                      // low field
+                pushValue(reinterpretUint32AsFloat(low));
                 break;
-            case 5: // TODO: We can't handle 64-bit data type yet.
-                dataArray.push(0);                              // low field
+            case 5: // double
+                pushValue(printfWordsToDouble(low, high));
                 break;
+            case 6: // signed integer
+                pushValue(low | 0);
+                break;
+            case 7: // int64
+                pushValue(printfWordsToBigInt(low, high, true));
+                break;
+            case 8: // uint64
+                pushValue(printfWordsToBigInt(low, high, false));
+                break;
+            case 9: // bool
+                pushValue(low != 0);
+                break;
+            case 10: // vector header
+                aggregate = { count: low, columns: 0, values: [] };
+                break;
+            case 11: // matrix header
+                aggregate = { count: low * high, columns: high, values: [] };
+                break;
+            case 12: // failed assertion, followed by its message
+                {
+                    const messageOffset = offset + elementSizeInWords;
+                    const message = elementIndex < numberElements - 1 && printfBufferArray[messageOffset] == 2 ?
+                        hashToString(hashedString, (printfBufferArray[messageOffset + 1] << 0)) : "";
+                    messages.push({ threadIndex: high, assertion: { line: low, message: message } });
+                    elementIndex++;
+                    if (elementIndex < numberElements - 1 && !isPrintfMessageStart(printfBufferArray[offset + 2 * elementSizeInWords]))
+                        return messages;
+                    break;
+                }
             case 0xFFFFFFFF:
                 {
                     const parsedTokens = parsePrintfFormat(formatString);
                     const output = formatPrintfString(parsedTokens, dataArray);
-                    outStrArry.push(output);
+                    messages.push({ threadIndex: threadIndex, text: output });
                     formatString = "";
                     dataArray = [];
+                    aggregate = null;
                     if (elementIndex < numberElements - 1) {
                         const nextOffset = offset + elementSizeInWords;
-                        // advance to the next element to see if it's a format string, if it's not we just early return
-                        // the results, otherwise just continue processing.
-                        if (printfBufferArray[nextOffset] != 1)          // type field
+                        // Messages are reserved as a whole and written contiguously, so if the next element isn't
+                        // a format string, we have reached the end of the printed data.
+                        if (!isPrintfMessageStart(printfBufferArray[nextOffset]))          // type field
                         {
-                            return outStrArry;
+                            return messages;
                         }
                     }
                     break;
@@ -324,17 +1132,7 @@ function parsePrintfBuffer(hashedString, printfValueResource, bufferElementSize)
         }
     }
 
-    if (formatString != "") {
-        // If we are here, it means that the printf buffer is used up, and we are in the middle of processing
-        // one printf string, so we are still going to format it, even though there could be some data missing, which
-        // will be shown as 'undef'.
-        const parsedTokens = parsePrintfFormat(formatString);
-        const output = formatPrintfString(parsedTokens, dataArray);
-        outStrArry.push(output);
-        outStrArry.push("Print buffer is out of boundary, some data is missing!!!");
-    }
-
-    return outStrArry;
+    return messages;
 }
 
 async function fetchWithProgress(url, onProgress) {